@@ -98,24 +98,109 @@ export const GET_ORDERS = `
   }
 `;
 
-export const GET_ORDER_ITEMS = `
-  query GetOrderItems($orderId: ID!, $first: Int!, $after: String) {
+export const GET_ORDER = `
+  query GetOrder($orderId: ID!) {
     order(id: $orderId) {
-        items(first: $first, after: $after) {
+        id
+        createdAt
+        cancelledAt
+        status
+        customer {
+            id
+            username
+            displayName
+            countryCode
+        }
+        isGiveaway
+        shippingAddress {
+            __typename
+            fullName
+            line1
+            line2
+            city
+            state
+            postalCode
+            phoneNumber
+            countryCode
+        }
+        subtotal {
+            amount
+            currencyCode
+        }
+        shippingPrice {
+            amount
+            currencyCode
+        }
+        taxation {
+            amount
+            currencyCode
+        }
+        total {
+            amount
+            currencyCode
+        }
+        salesChannel {
+            type
+            reference
+        }
+        trackingInfo {
+            trackingCode
+            courier
+        }
+        items(first: 50) {
             edges {
                 node {
                     id
+                    isPickup
+                    variant {
+                        sku
+                        options {
+                            name
+                            value
+                        }
+                    }
                     price {
                         amount
                     }
                     product {
                         title
+                        externalId
                     }
                     quantity
+                }
+            }
+            pageInfo {
+                hasNextPage
+                endCursor
+            }
+        }
+    }
+  }
+`;
+
+export const GET_ORDER_ITEMS = `
+  query GetOrderItems($orderId: ID!, $first: Int!, $after: String) {
+    order(id: $orderId) {
+        items(first: $first, after: $after) {
+            edges {
+                node {
+                    id
                     isPickup
                     variant {
                         sku
+                        options {
+                            name
+                            value
+                        }
+                    }
+                    price {
+                        amount
                     }
+                    product {
+                        title
+                        externalId
+                    }
+                    quantity
                 }
             }
             pageInfo {
@@ -126,3 +211,38 @@ export const GET_ORDER_ITEMS = `
     }
   }
 `;
+
+export const GET_ORDER_STATUS = `
+  query GetOrderStatus($orderId: ID!) {
+    order(id: $orderId) {
+        id
+        status
+        cancelledAt
+        shippingPrice {
+            amount
+        }
+        taxation {
+            amount
+        }
+        total {
+            amount
+            currencyCode
+        }
+    }
+  }
+`;
+
+// Smallest query the seller API answers, for checking that a token works.
+// CREATED_AT sorts ascending, so this returns the seller's oldest order
+export const GET_FIRST_ORDER_ID = `
+  query GetFirstOrderId {
+    orders(first: 1, sortKey: CREATED_AT) {
+        edges {
+            node {
+                id
+                createdAt
+            }
+        }
+    }
+  }
+`;
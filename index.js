@@ -4,16 +4,24 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { readFile } from 'fs/promises';
 import 'dotenv/config';
 import cron from 'node-cron';
 import { toZonedTime } from 'date-fns-tz';
 import { getHours } from 'date-fns';
 
 // Sync and tracking modules
-import { syncOrders } from './scripts/sync-orders.js';
+import { syncOrders, retryFailedOrders } from './scripts/sync-orders.js';
 import { updateTracking } from './scripts/update-tracking.js';
-import ShipStationService from './services/shipstation.js';
+import { reconcileCancellations } from './scripts/reconcile-cancellations.js';
+import { createShipStationService } from './services/shipstation.js';
+import { loadFailedOrders } from './utils/failed-orders.js';
+import { validateAccountSettings, getSyncSettings, getShipStationCredentials } from './utils/account-settings.js';
+import { listSyncReports, loadSyncReport, syncReportToCsv } from './utils/sync-reports.js';
+import { loadPickups, markPickedUp, pickupRosterToHtml } from './utils/pickups.js';
+import { applyShippingPresets, buildSampleOrder, validateShippingPresets } from './utils/shipping-presets.js';
+import { loadStreamState, getStreamClosesAt, markStreamFinished } from './utils/stream-state.js';
+import { listShipStationStores, checkWhatnotToken, runSetupChecks, testAccountConnection } from './utils/integration-checks.js';
+import { loadAccounts as loadAccountsFile, validateAccount, toPublicAccount, saveAccount, deleteAccount } from './utils/accounts.js';
 
 // ======== SERVER SETUP ========
 const __filename = fileURLToPath(import.meta.url);
@@ -30,6 +38,7 @@ app.use(express.json());
 const MAX_LOGS = 100;
 const SYNC_SCHEDULE = process.env.SYNC_SCHEDULE || '0 1 * * *';  // Default: 1:00 AM daily
 const TRACKING_SCHEDULE = process.env.TRACKING_SCHEDULE || '0 2 * * *';  // Default: 2:00 AM daily
+const RECONCILE_SCHEDULE = process.env.RECONCILE_SCHEDULE || '0 3 * * *';  // Default: 3:00 AM daily
 const SCHEDULED_ACCOUNT = process.env.SCHEDULED_ACCOUNT || null; // Default account for scheduled jobs
 const SYNC_ALL_ACCOUNTS = process.env.SYNC_ALL_ACCOUNTS === 'true' || false; // Whether to sync all enabled accounts
 
@@ -56,14 +65,12 @@ const syncStatus = {
 
 // ======== HELPER FUNCTIONS ========
 
-// Load accounts from accounts.json
+// Load accounts from accounts.json. The file is read on every call, so account
+// changes made through the API apply without a restart.
 async function loadAccounts() {
   try {
-    const accountsPath = join(__dirname, 'accounts.json');
-    const data = await readFile(accountsPath, 'utf-8');
-    return JSON.parse(data).accounts;
+    return await loadAccountsFile();
   } catch (error) {
-    console.error('Error loading accounts:', error);
     return [];
   }
 }
@@ -236,6 +243,9 @@ async function runSyncOrders(accountId, isScheduled = false) {
     
     // Add completion log
     addLogMessage(`Sync completed. Created ${result.total.created} orders successfully. ${result.total.errors.length} errors.`);
+    if (result.total.hydrated > 0) {
+      addLogMessage(`Fetched the full item list of ${result.total.hydrated} orders with more items than fit in one page.`);
+    }
     
     // Send final status updates
     io.emit('status_update', syncStatus);
@@ -252,6 +262,46 @@ async function runSyncOrders(accountId, isScheduled = false) {
   }
 }
 
+// Retry failed order creations for a single account
+async function runRetryFailedOrders(accountId, entryIds = null) {
+  if (syncStatus.isRunning) {
+    return { success: false, error: 'A sync or tracking update is already running' };
+  }
+
+  try {
+    resetSyncStatus('retry', false);
+    addLogMessage(`Retrying ${entryIds ? entryIds.length : 'all'} failed orders for account: ${accountId}`);
+    io.emit('status_update', syncStatus);
+
+    const [account] = await getEnabledAccounts(accountId);
+    const result = await retryFailedOrders(account, entryIds, (progress) => {
+      handleSyncProgress(progress, account.name);
+    });
+
+    syncStatus.isRunning = false;
+    syncStatus.progress = {
+      total: result.retried,
+      processed: result.retried,
+      successful: result.created,
+      failed: result.failed
+    };
+
+    addLogMessage(`Retry completed. Created ${result.created} orders, ${result.failed} still failing, ${result.held} moved to held giveaways, ${result.resolved} already synced, ${result.invalid} orders no longer valid.`,
+      result.failed > 0 ? 'warning' : 'success');
+
+    io.emit('status_update', syncStatus);
+    io.emit('sync_complete', { success: true, result });
+
+    return { success: true, result };
+  } catch (error) {
+    syncStatus.isRunning = false;
+    addLogMessage(`Error: ${error.message}`, 'error');
+    io.emit('status_update', syncStatus);
+    io.emit('sync_complete', { success: false, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
 // Process sync progress updates
 function handleSyncProgress(progress, accountName) {
   // Skip if this is just a log message
@@ -443,6 +493,66 @@ function handleTrackingProgress(progress, accountName) {
   }
 }
 
+// Reconcile Whatnot cancellations for one account, or all enabled accounts when no account is given
+async function runReconcileCancellations(accountId = null, isScheduled = false) {
+  if (syncStatus.isRunning) {
+    return { success: false, error: 'A sync or tracking update is already running' };
+  }
+
+  try {
+    resetSyncStatus('reconcile', isScheduled);
+
+    const runType = isScheduled ? 'scheduled' : 'manual';
+    addLogMessage(`Starting ${runType} cancellation check for ${accountId ? `account: ${accountId}` : 'all enabled accounts'}`);
+    io.emit('status_update', syncStatus);
+
+    const accounts = await getEnabledAccounts(accountId);
+    const result = await reconcileCancellations(accounts, handleReconcileProgress);
+
+    syncStatus.isRunning = false;
+    syncStatus.progress = {
+      total: result.total.processed,
+      processed: result.total.processed,
+      successful: result.total.updated,
+      failed: result.total.errors.length
+    };
+    syncStatus.accounts = result.accounts;
+
+    addLogMessage(`Cancellation check completed. ${result.total.cancelled} cancelled orders found, ${result.total.updated} ShipStation orders changed, ${result.total.errors.length} errors.`,
+      result.total.errors.length > 0 ? 'warning' : 'success');
+
+    io.emit('status_update', syncStatus);
+    io.emit('sync_complete', { success: true, result });
+
+    return { success: true, result };
+  } catch (error) {
+    syncStatus.isRunning = false;
+    addLogMessage(`Error: ${error.message}`, 'error');
+    io.emit('status_update', syncStatus);
+    io.emit('sync_complete', { success: false, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+// Process cancellation reconciliation progress updates
+function handleReconcileProgress(progress) {
+  if (progress.logMessage) {
+    addLogMessage(progress.logMessage, progress.logType || 'info');
+  }
+
+  if (progress.total) {
+    syncStatus.progress = {
+      total: progress.total.total || 0,
+      processed: progress.total.processed || 0,
+      successful: progress.total.updated || 0,
+      failed: Array.isArray(progress.total.errors) ? progress.total.errors.length : 0
+    };
+    syncStatus.accounts = progress.accounts || [];
+  }
+
+  io.emit('status_update', syncStatus);
+}
+
 // Run sync orders for multiple accounts
 async function runAllSyncOrders(isScheduled = false) {
   if (syncStatus.isRunning) {
@@ -514,6 +624,9 @@ async function runAllSyncOrders(isScheduled = false) {
         }
         
         addLogMessage(`Completed sync for account ${account.name}. Created ${result.total.created} orders successfully. ${result.total.errors.length} errors.`);
+        if (result.total.hydrated > 0) {
+          addLogMessage(`Fetched the full item list of ${result.total.hydrated} orders for account ${account.name}.`);
+        }
       } catch (error) {
         // Log but continue to next account
         console.error(`Error syncing account ${account.name}:`, error);
@@ -815,10 +928,12 @@ async function initializeScheduledJobs() {
       console.log(`Scheduling jobs for all ${enabledAccounts.length} enabled accounts`);
       console.log(`Order sync scheduled for: ${SYNC_SCHEDULE}`);
       console.log(`Tracking update scheduled for: ${TRACKING_SCHEDULE}`);
+      console.log(`Cancellation check scheduled for: ${RECONCILE_SCHEDULE}`);
 
       // Schedule jobs for all accounts
       scheduleJob(SYNC_SCHEDULE, 'sync', true);
       scheduleJob(TRACKING_SCHEDULE, 'tracking', true);
+      scheduleReconcileJob(true);
       
       console.log('Scheduled jobs for all accounts initialized successfully');
     } else if (SCHEDULED_ACCOUNT) {
@@ -828,10 +943,12 @@ async function initializeScheduledJobs() {
       console.log(`Scheduling jobs for single account: ${SCHEDULED_ACCOUNT}`);
       console.log(`Order sync scheduled for: ${SYNC_SCHEDULE}`);
       console.log(`Tracking update scheduled for: ${TRACKING_SCHEDULE}`);
+      console.log(`Cancellation check scheduled for: ${RECONCILE_SCHEDULE}`);
 
       // Schedule jobs for single account
       scheduleJob(SYNC_SCHEDULE, 'sync', false);
       scheduleJob(TRACKING_SCHEDULE, 'tracking', false);
+      scheduleReconcileJob(false);
       
       console.log('Scheduled jobs for single account initialized successfully');
     } else {
@@ -842,6 +959,15 @@ async function initializeScheduledJobs() {
   }
 }
 
+// Schedule the cancellation check. An invalid schedule only disables this job.
+function scheduleReconcileJob(forAllAccounts) {
+  if (!isValidCronExpression(RECONCILE_SCHEDULE)) {
+    console.error(`Invalid reconcile schedule cron expression: ${RECONCILE_SCHEDULE}`);
+    return;
+  }
+  scheduleJob(RECONCILE_SCHEDULE, 'reconcile', forAllAccounts);
+}
+
 // Schedule a job with error handling
 function scheduleJob(cronExpression, jobType, forAllAccounts) {
   cron.schedule(cronExpression, async () => {
@@ -851,9 +977,11 @@ function scheduleJob(cronExpression, jobType, forAllAccounts) {
       
       if (forAllAccounts) {
         console.log(`Running scheduled ${jobType} for all enabled accounts at ${timestamp}`);
-        result = jobType === 'sync' 
+        result = jobType === 'sync'
           ? await runAllSyncOrders(true)
-          : await runAllTrackingUpdates(true);
+          : jobType === 'reconcile'
+            ? await runReconcileCancellations(null, true)
+            : await runAllTrackingUpdates(true);
         
         const accountCount = result.accounts ? result.accounts.length : 0;
         console.log(`Scheduled ${jobType} for all accounts completed with status: ${result.success ? 'success' : 'failure'}`);
@@ -864,7 +992,9 @@ function scheduleJob(cronExpression, jobType, forAllAccounts) {
         console.log(`Running scheduled ${jobType} for ${SCHEDULED_ACCOUNT} at ${timestamp}`);
         result = jobType === 'sync'
           ? await runSyncOrders(SCHEDULED_ACCOUNT, true)
-          : await runTrackingUpdate(SCHEDULED_ACCOUNT, true);
+          : jobType === 'reconcile'
+            ? await runReconcileCancellations(SCHEDULED_ACCOUNT, true)
+            : await runTrackingUpdate(SCHEDULED_ACCOUNT, true);
           
         console.log(`Scheduled ${jobType} completed with status: ${result.success ? 'success' : 'failure'}`);
         if (!result.success) {
@@ -881,22 +1011,184 @@ function scheduleJob(cronExpression, jobType, forAllAccounts) {
 
 // ======== API ROUTES ========
 
-// Get all accounts
+// Get all accounts, with their credentials masked
 app.get('/api/accounts', async (req, res) => {
   try {
     const accounts = await loadAccounts();
     res.json({
-      accounts: accounts.map(acc => ({
-        id: acc.name,
-        name: acc.name,
-        enabled: acc.enabled
-      }))
+      accounts: accounts.map(toPublicAccount)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Get one account, with its credentials masked
+app.get('/api/accounts/:accountId', async (req, res) => {
+  try {
+    const account = (await loadAccounts()).find(acc => acc.name === req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json({ account: toPublicAccount(account) });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an account. The body holds the account's fields; the name comes from the URL.
+app.post('/api/accounts/:accountId', async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const accounts = await loadAccountsFile();
+    if (accounts.some(acc => acc.name === accountId)) {
+      return res.status(409).json({ error: `Account ${accountId} already exists` });
+    }
+
+    const { name, ...fields } = req.body;
+    const account = { name: accountId, enabled: true, ...fields };
+    const errors = validateAccount(account);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid account: ${errors.join('; ')}` });
+    }
+
+    const saved = await saveAccount(account);
+    addLogMessage(`Account ${accountId} added`);
+    res.status(201).json({ success: true, account: toPublicAccount(saved) });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change an account. Fields in the body replace the account's; a null field is removed.
+// Credentials are only changed when sent, so a form can leave them out to keep them.
+app.put('/api/accounts/:accountId', async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const existing = (await loadAccountsFile()).find(acc => acc.name === accountId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (req.body.name !== undefined && req.body.name !== accountId) {
+      return res.status(400).json({ error: 'Accounts cannot be renamed; their ledger and other state are stored under the name' });
+    }
+
+    // A new token replaces the stored one, encrypted or not
+    const { whatnotTokenEncrypted, ...kept } = existing;
+    const current = req.body.whatnotToken ? kept : existing;
+    const account = Object.fromEntries(Object.entries({ ...current, ...req.body, name: accountId })
+      .filter(([, value]) => value !== null));
+    const errors = validateAccount(account);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid account: ${errors.join('; ')}` });
+    }
+
+    const saved = await saveAccount(account);
+    const changed = Object.keys(req.body).filter(field => field !== 'name');
+    addLogMessage(`Account ${accountId} updated (${changed.join(', ') || 'no changes'})`);
+    res.json({ success: true, account: toPublicAccount(saved) });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test an account's connections: Whatnot authentication and order access, ShipStation
+// authentication, its store and the rate-limit headroom. Failed checks carry a hint.
+app.post('/api/accounts/:accountId/test', async (req, res) => {
+  try {
+    const account = (await loadAccounts()).find(acc => acc.name === req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const report = await testAccountConnection(account);
+    const failed = report.checks.filter(check => !check.ok).map(check => check.check);
+    addLogMessage(`Connection test for ${account.name}: ${report.ok ? 'all checks passed' : `failed ${failed.join(', ')}`}`, report.ok ? 'info' : 'error');
+    res.json(report);
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an account. Its ledger, cursors and reports stay on disk, so adding it back
+// under the same name resumes where it left off.
+app.delete('/api/accounts/:accountId', async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    if (!await deleteAccount(accountId)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    addLogMessage(`Account ${accountId} removed`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the stores of a ShipStation account, for the setup wizard. Without credentials in
+// the body, the stores of the ShipStation account in .env are listed.
+app.post('/api/setup/stores', async (req, res) => {
+  try {
+    const { shipstationApiKey, shipstationApiSecret } = req.body;
+    let stores;
+    try {
+      stores = await listShipStationStores({ name: 'setup', shipstationApiKey, shipstationApiSecret });
+    } catch (error) {
+      return res.status(400).json({ error: `Could not list ShipStation stores: ${error.message}` });
+    }
+    res.json({ stores });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check that a pasted Whatnot token can read the seller's orders
+app.post('/api/setup/whatnot-token', async (req, res) => {
+  try {
+    const token = typeof req.body.whatnotToken === 'string' ? req.body.whatnotToken.trim() : '';
+    if (!token) {
+      return res.status(400).json({ error: 'whatnotToken is required' });
+    }
+    res.json(await checkWhatnotToken(token));
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an account from the setup wizard. The account is only written when its store and
+// token pass the same checks as scripts/test-integration.js.
+app.post('/api/setup/accounts/:accountId', async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const accounts = await loadAccountsFile();
+    if (accounts.some(acc => acc.name === accountId)) {
+      return res.status(409).json({ error: `Account ${accountId} already exists` });
+    }
+
+    const { name, ...fields } = req.body;
+    const account = { name: accountId, enabled: true, ...fields };
+    const { ok, checks } = await runSetupChecks(account);
+    if (!ok) {
+      return res.status(422).json({ error: checks.filter(result => !result.ok).map(result => result.message).join('; '), checks });
+    }
+
+    const saved = await saveAccount(account);
+    addLogMessage(`Account ${accountId} set up for ShipStation store ${account.shipstationStoreId}`);
+    res.status(201).json({ success: true, account: toPublicAccount(saved), checks });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get current status
 app.get('/api/status', (req, res) => {
   res.json(syncStatus);
@@ -939,12 +1231,15 @@ app.get('/api/schedule', async (req, res) => {
     // Validate cron expressions
     const isSyncScheduleValid = isValidCronExpression(SYNC_SCHEDULE);
     const isTrackingScheduleValid = isValidCronExpression(TRACKING_SCHEDULE);
+    const isReconcileScheduleValid = isValidCronExpression(RECONCILE_SCHEDULE);
     
     res.json({
       syncSchedule: SYNC_SCHEDULE,
       syncScheduleValid: isSyncScheduleValid,
       trackingSchedule: TRACKING_SCHEDULE,
       trackingScheduleValid: isTrackingScheduleValid,
+      reconcileSchedule: RECONCILE_SCHEDULE,
+      reconcileScheduleValid: isReconcileScheduleValid,
       syncAllAccounts: SYNC_ALL_ACCOUNTS,
       scheduledAccount: SCHEDULED_ACCOUNT,
       scheduledAccounts: scheduledAccounts,
@@ -952,6 +1247,7 @@ app.get('/api/schedule', async (req, res) => {
       accountMessage: accountMessage,
       nextSyncRun: isSyncScheduleValid ? getNextRunTime(SYNC_SCHEDULE) : 'Invalid schedule',
       nextTrackingRun: isTrackingScheduleValid ? getNextRunTime(TRACKING_SCHEDULE) : 'Invalid schedule',
+      nextReconcileRun: isReconcileScheduleValid ? getNextRunTime(RECONCILE_SCHEDULE) : 'Invalid schedule',
       scheduledJobsEnabled: accountStatus === 'valid' && isSyncScheduleValid && isTrackingScheduleValid
     });
   } catch (error) {
@@ -982,6 +1278,313 @@ app.post('/api/sync', async (req, res) => {
   }
 });
 
+// Preview what an order sync would create, without creating anything
+app.post('/api/sync/preview', async (req, res) => {
+  try {
+    const { accountId } = req.body;
+    if (!accountId) {
+      return res.status(400).json({ error: 'Account ID is required' });
+    }
+
+    const accounts = await getEnabledAccounts(accountId);
+    const result = await syncOrders(accounts, null, { preview: true });
+    res.json(result);
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List order groups ShipStation failed to create, per account
+app.get('/api/failed-orders', async (req, res) => {
+  try {
+    const { accountId } = req.query;
+    const accounts = (await loadAccounts()).filter(acc => !accountId || acc.name === accountId);
+
+    const result = [];
+    for (const account of accounts) {
+      const entries = await loadFailedOrders(account.name);
+      result.push({
+        name: account.name,
+        // Leave out the raw Whatnot orders kept for retrying
+        orders: entries.map(({ orders, ...entry }) => ({
+          ...entry,
+          itemCount: orders.reduce((sum, order) => sum + (order.items?.edges?.length || 0), 0)
+        }))
+      });
+    }
+
+    res.json({
+      total: result.reduce((sum, account) => sum + account.orders.length, 0),
+      accounts: result
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry one failed order group (by id) or all of an account's failed order groups
+app.post('/api/failed-orders/retry', async (req, res) => {
+  try {
+    const { accountId, id } = req.body;
+    if (!accountId) {
+      return res.status(400).json({ error: 'Account ID is required' });
+    }
+
+    if (syncStatus.isRunning) {
+      return res.status(409).json({ error: 'A sync or tracking update is already running' });
+    }
+
+    const result = await runRetryFailedOrders(accountId, id ? [id] : null);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the per-order disposition reports of past sync runs
+app.get('/api/sync-reports', async (req, res) => {
+  try {
+    const { accountId } = req.query;
+    const accounts = (await loadAccounts()).filter(acc => !accountId || acc.name === accountId);
+
+    const reports = [];
+    for (const account of accounts) {
+      reports.push(...await listSyncReports(account.name));
+    }
+    reports.sort((a, b) => b.jobRun.localeCompare(a.jobRun));
+
+    res.json({ reports });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the disposition report of one sync run as JSON (default) or CSV
+app.get('/api/sync-reports/:accountId/:jobRun', async (req, res) => {
+  try {
+    const { accountId, jobRun } = req.params;
+    const format = req.query.format || 'json';
+
+    const accounts = await loadAccounts();
+    if (!accounts.some(acc => acc.name === accountId) || !/^[\w-]+$/.test(jobRun)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: 'Invalid format. Use "json" or "csv"' });
+    }
+
+    const report = await loadSyncReport(accountId, jobRun);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const filename = `sync-report-${accountId}-${jobRun}.${format}`.replace(/[^\w.-]/g, '_');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(syncReportToCsv(report));
+    } else {
+      res.json(report);
+    }
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List orders to be picked up in person, per account. Filter with streamId and
+// status (waiting, picked_up or all; default all)
+app.get('/api/pickups', async (req, res) => {
+  try {
+    const { accountId, streamId, status = 'all' } = req.query;
+    if (!['waiting', 'picked_up', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Use "waiting", "picked_up" or "all"' });
+    }
+
+    const accounts = (await loadAccounts()).filter(acc => !accountId || acc.name === accountId);
+    const result = [];
+    for (const account of accounts) {
+      const entries = (await loadPickups(account.name)).filter(entry =>
+        (!streamId || entry.streamId === streamId) &&
+        (status === 'all' || (status === 'waiting') === !entry.pickedUpAt)
+      );
+      result.push({ name: account.name, orders: entries });
+    }
+
+    res.json({
+      total: result.reduce((sum, account) => sum + account.orders.length, 0),
+      waiting: result.reduce((sum, account) => sum + account.orders.filter(entry => !entry.pickedUpAt).length, 0),
+      accounts: result
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record that a pickup order was handed over, and by whom
+app.post('/api/pickups/:accountId/:whatnotOrderId/picked-up', async (req, res) => {
+  try {
+    const { accountId, whatnotOrderId } = req.params;
+    const pickedUpBy = typeof req.body.pickedUpBy === 'string' ? req.body.pickedUpBy.trim() : '';
+    if (!pickedUpBy) {
+      return res.status(400).json({ error: 'pickedUpBy is required' });
+    }
+
+    const accounts = await loadAccounts();
+    if (!accounts.some(acc => acc.name === accountId)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const existing = (await loadPickups(accountId)).find(entry => entry.whatnotOrderId === whatnotOrderId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Order is not on the pickup list' });
+    }
+    if (existing.pickedUpAt) {
+      return res.status(409).json({ error: `Order was already picked up (handed over by ${existing.pickedUpBy})`, pickup: existing });
+    }
+
+    const pickup = await markPickedUp(accountId, whatnotOrderId, pickedUpBy);
+    addLogMessage(`Order ${whatnotOrderId} for ${existing.customerUsername} picked up (handed over by ${pickedUpBy})`);
+    res.json({ success: true, pickup });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Printable roster of an account's pickup orders, optionally for one stream
+app.get('/api/pickups/:accountId/roster', async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const { streamId } = req.query;
+
+    const accounts = await loadAccounts();
+    if (!accounts.some(acc => acc.name === accountId)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const entries = (await loadPickups(accountId)).filter(entry => !streamId || entry.streamId === streamId);
+    res.type('html').send(pickupRosterToHtml(accountId, entries, streamId || null));
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the livestreams each account's syncs have seen, with when each finishes and
+// how many orders are deferred or on hold until it does
+app.get('/api/streams', async (req, res) => {
+  try {
+    const { accountId } = req.query;
+    const accounts = (await loadAccounts()).filter(acc => !accountId || acc.name === accountId);
+    const now = new Date();
+    const result = [];
+    for (const account of accounts) {
+      const settings = getSyncSettings(account);
+      const state = await loadStreamState(account.name);
+      const streams = Object.values(state.streams).map(entry => {
+        const closesAt = getStreamClosesAt(entry, settings);
+        return {
+          ref: entry.ref,
+          streamId: entry.streamId,
+          newestOrderAt: entry.newestOrderAt,
+          closesAt: closesAt.toISOString(),
+          finished: closesAt <= now,
+          finishedAt: entry.finishedAt,
+          finishedBy: entry.finishedBy,
+          deferred: entry.deferred.length,
+          held: entry.heldOrders.length
+        };
+      });
+      result.push({ name: account.name, openStreamAction: settings.openStreamAction, streams });
+    }
+
+    res.json({ accounts: result });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a livestream finished so its deferred and held orders are released on the next sync.
+// The stream is given by its stream ID or Whatnot livestream reference.
+app.post('/api/streams/:accountId/:streamId/finish', async (req, res) => {
+  try {
+    const { accountId, streamId } = req.params;
+    const finishedBy = typeof req.body.finishedBy === 'string' && req.body.finishedBy.trim() ? req.body.finishedBy.trim() : null;
+
+    const accounts = await loadAccounts();
+    if (!accounts.some(acc => acc.name === accountId)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const state = await loadStreamState(accountId);
+    const existing = state.streams[streamId] || Object.values(state.streams).find(entry => entry.streamId === streamId);
+    if (!existing) {
+      return res.status(404).json({ error: 'No orders from this livestream have been synced yet' });
+    }
+    if (existing.finishedAt) {
+      return res.status(409).json({ error: `Livestream was already marked finished${existing.finishedBy ? ` by ${existing.finishedBy}` : ''}`, stream: existing });
+    }
+
+    const stream = await markStreamFinished(accountId, streamId, finishedBy);
+    addLogMessage(`Livestream ${stream.streamId} marked finished${finishedBy ? ` by ${finishedBy}` : ''}; its orders are released on the next sync`);
+    res.json({ success: true, stream });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get an account's shipping presets
+app.get('/api/shipping-presets/:accountId', async (req, res) => {
+  try {
+    const account = (await loadAccounts()).find(acc => acc.name === req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json({ presets: getSyncSettings(account).shippingPresets });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Try shipping presets against a sample order. Presets in the body are tried instead of
+// the account's, so changes can be checked before they are saved to accounts.json.
+app.post('/api/shipping-presets/:accountId/test', async (req, res) => {
+  try {
+    const account = (await loadAccounts()).find(acc => acc.name === req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { sample, presets = getSyncSettings(account).shippingPresets } = req.body;
+    if (!sample || !Array.isArray(sample.items) || sample.items.length === 0) {
+      return res.status(400).json({ error: 'sample with at least one item is required' });
+    }
+    const presetErrors = validateShippingPresets(presets);
+    if (presetErrors.length > 0) {
+      return res.status(400).json({ error: `Invalid shipping presets: ${presetErrors.join('; ')}` });
+    }
+
+    const sampleOrder = buildSampleOrder(sample);
+    const { order, matched } = applyShippingPresets(sampleOrder, presets);
+    const fields = Object.fromEntries(Object.entries(order).filter(([key]) => !(key in sampleOrder)));
+    res.json({ matched, fields });
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Manual tracking update request
 app.post('/api/tracking', async (req, res) => {
   try {
@@ -1005,6 +1608,29 @@ app.post('/api/tracking', async (req, res) => {
   }
 });
 
+// Manual cancellation check request
+app.post('/api/reconcile', async (req, res) => {
+  try {
+    const { accountId } = req.body;
+    if (!accountId) {
+      return res.status(400).json({ error: 'Account ID is required' });
+    }
+
+    if (syncStatus.isRunning) {
+      return res.status(409).json({ error: 'A sync or tracking update is already running' });
+    }
+
+    // Start reconciliation (non-blocking)
+    res.json({ message: 'Cancellation check started', status: syncStatus });
+
+    // Run in background
+    runReconcileCancellations(accountId, false);
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Manually trigger a scheduled job
 app.post('/api/run-scheduled', async (req, res) => {
   try {
@@ -1014,8 +1640,8 @@ app.post('/api/run-scheduled', async (req, res) => {
       return res.status(409).json({ error: 'A sync or tracking update is already running' });
     }
     
-    if (jobType !== 'sync' && jobType !== 'tracking') {
-      return res.status(400).json({ error: 'Invalid job type. Use "sync" or "tracking"' });
+    if (!['sync', 'tracking', 'reconcile'].includes(jobType)) {
+      return res.status(400).json({ error: 'Invalid job type. Use "sync", "tracking" or "reconcile"' });
     }
     
     let result;
@@ -1024,7 +1650,9 @@ app.post('/api/run-scheduled', async (req, res) => {
     if (SYNC_ALL_ACCOUNTS) {
       result = jobType === 'sync'
         ? await runAllSyncOrders(true)
-        : await runAllTrackingUpdates(true);
+        : jobType === 'reconcile'
+          ? await runReconcileCancellations(null, true)
+          : await runAllTrackingUpdates(true);
         
       res.json({ 
         message: `Scheduled ${jobType} job triggered manually for all accounts`,
@@ -1033,7 +1661,9 @@ app.post('/api/run-scheduled', async (req, res) => {
     } else if (SCHEDULED_ACCOUNT) {
       result = jobType === 'sync'
         ? await runSyncOrders(SCHEDULED_ACCOUNT, true)
-        : await runTrackingUpdate(SCHEDULED_ACCOUNT, true);
+        : jobType === 'reconcile'
+          ? await runReconcileCancellations(SCHEDULED_ACCOUNT, true)
+          : await runTrackingUpdate(SCHEDULED_ACCOUNT, true);
         
       res.json({ 
         message: `Scheduled ${jobType} job triggered manually`,
@@ -1066,15 +1696,37 @@ app.get('/api/line-item-counts', async (req, res) => {
   }
 
   try {
-    // Instantiate ShipStation service using default credentials from .env
-    const shipstationService = new ShipStationService(); // No config needed, uses process.env
+    // One ShipStation account per distinct set of credentials; accounts without their own use the .env ones.
+    // An account with broken credentials is left out instead of failing the counts of every other account
+    const services = new Map();
+    for (const account of await loadAccounts()) {
+      let apiKey;
+      try {
+        ({ apiKey } = getShipStationCredentials(account));
+      } catch (error) {
+        console.error(`Skipping account ${account.name} in line item counts:`, error.message);
+        continue;
+      }
+      if (!services.has(apiKey)) {
+        services.set(apiKey, createShipStationService(account));
+      }
+    }
+    if (services.size === 0) {
+      services.set(null, createShipStationService({}));
+    }
 
-    // Fetch users and shipments concurrently
-    const [users, shipments] = await Promise.all([
-      shipstationService.getUsers(),
-      // Call getShipmentsByDateRange without storeId
-      shipstationService.getShipmentsByDateRange(startDate, endDate, timezone || 'America/New_York') // Pass timezone, default to ET
-    ]);
+    // Fetch users and shipments of every ShipStation account
+    const users = [];
+    const shipments = [];
+    for (const shipstationService of services.values()) {
+      const [accountUsers, accountShipments] = await Promise.all([
+        shipstationService.getUsers(),
+        // Call getShipmentsByDateRange without storeId
+        shipstationService.getShipmentsByDateRange(startDate, endDate, timezone || 'America/New_York') // Pass timezone, default to ET
+      ]);
+      users.push(...accountUsers);
+      shipments.push(...accountShipments);
+    }
 
     // Map userId to full name for easier lookup
     const userIdToFullNameMap = users.reduce((map, user) => {
@@ -1153,8 +1805,13 @@ app.get('/api/line-item-counts', async (req, res) => {
     for (const userId in userLineItemCounts) {
         const fullName = userIdToFullNameMap[userId]; // Get the full name
         if (fullName) { // Ensure user is still valid
-             totalsResponse[fullName] = userLineItemCounts[userId].total;
-             timeSeriesResponse[fullName] = userLineItemCounts[userId].timeSeries;
+             // A user of several ShipStation accounts is counted once, under their name
+             totalsResponse[fullName] = (totalsResponse[fullName] || 0) + userLineItemCounts[userId].total;
+             const timeSeries = timeSeriesResponse[fullName] || {};
+             for (const [bucket, count] of Object.entries(userLineItemCounts[userId].timeSeries)) {
+               timeSeries[bucket] = (timeSeries[bucket] || 0) + count;
+             }
+             timeSeriesResponse[fullName] = timeSeries;
         }
     }
 
@@ -1170,7 +1827,7 @@ app.get('/api/line-item-counts', async (req, res) => {
     console.error(`Error fetching line item counts across all stores:`, error);
     // Check for specific ShipStation errors if needed
     if (error.message.includes('Invalid ShipStation API credentials') || error.response?.status === 401) {
-       res.status(401).json({ error: 'Invalid ShipStation API credentials configured in .env' });
+       res.status(401).json({ error: 'Invalid ShipStation API credentials configured in .env or accounts.json' });
     } else {
        res.status(500).json({ error: 'Failed to retrieve line item counts', details: error.message });
     }
@@ -1190,6 +1847,28 @@ io.on('connection', (socket) => {
 
 // ======== SERVER STARTUP ========
 
+// Check every account's settings and templates before accepting any work
+async function validateSettingsOnStartup() {
+  let accounts;
+  try {
+    accounts = await loadAccounts();
+  } catch (error) {
+    console.error('Skipping account settings validation, accounts could not be loaded');
+    return true;
+  }
+
+  const errors = validateAccountSettings(accounts);
+  for (const { account, error } of errors) {
+    console.error(`Invalid settings for account ${account}: ${error}`);
+  }
+  return errors.length === 0;
+}
+
+if (!(await validateSettingsOnStartup())) {
+  console.error('Fix the account settings above and restart the server');
+  process.exit(1);
+}
+
 const PORT = process.env.PORT || 3000;
 httpServer.listen(PORT, async () => {
   console.log(`Server running on http://localhost:${PORT}`);
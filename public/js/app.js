@@ -35,6 +35,8 @@ function appData() {
       this.initializeSocket();
       this.fetchAccounts();
       this.fetchStatus();
+      this.fetchFailedOrders();
+      this.fetchPickups();
     },
 
     // Socket Connection Methods
@@ -86,6 +88,8 @@ function appData() {
         }
 
         this.isRunning = false;
+        this.fetchFailedOrders();
+        this.fetchPickups();
       });
     },
 
@@ -134,8 +138,10 @@ function appData() {
     startSync(type) {
       if (!this.canStartSync) return;
 
-      const endpoint = type === 'sync' ? '/api/sync' : '/api/tracking';
-      const actionName = type === 'sync' ? 'order sync' : 'tracking update';
+      const endpoints = { sync: '/api/sync', tracking: '/api/tracking', reconcile: '/api/reconcile' };
+      const actionNames = { sync: 'order sync', tracking: 'tracking update', reconcile: 'cancellation check' };
+      const endpoint = endpoints[type];
+      const actionName = actionNames[type];
 
       // Update local state
       this.isRunning = true;
@@ -385,6 +391,226 @@ function appData() {
       this.showAccountModal = false;
     },
 
+    // --- Account Form State and Methods ---
+    isAccountFormOpen: false,
+    accountForm: { isNew: true, name: '', whatnotToken: '', maskedToken: '', shipstationStoreId: null, enabled: true },
+    accountFormSaving: false,
+    accountFormError: null,
+
+    openAccountForm(account = null) {
+      this.accountForm = account
+        ? { isNew: false, name: account.name, whatnotToken: '', maskedToken: account.whatnotToken || '', shipstationStoreId: account.shipstationStoreId ?? null, enabled: account.enabled }
+        : { isNew: true, name: '', whatnotToken: '', maskedToken: '', shipstationStoreId: null, enabled: true };
+      this.accountFormError = null;
+      this.isAccountFormOpen = true;
+    },
+
+    async saveAccountForm() {
+      const { isNew, name, whatnotToken, shipstationStoreId, enabled } = this.accountForm;
+      if (!name) {
+        this.accountFormError = 'Enter a name for the account';
+        return;
+      }
+
+      // A blank token on an existing account keeps the saved one
+      const body = { shipstationStoreId, enabled };
+      if (whatnotToken || isNew) {
+        body.whatnotToken = whatnotToken;
+      }
+
+      this.accountFormSaving = true;
+      this.accountFormError = null;
+      try {
+        const response = await fetch(`/api/accounts/${encodeURIComponent(name)}`, {
+          method: isNew ? 'POST' : 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+        this.addLogEntry('success', `Account ${name} ${isNew ? 'added' : 'saved'}${whatnotToken && !isNew ? ' with a new Whatnot token' : ''}`);
+        if (this.selectedAccount?.id === data.account.id) {
+          this.selectedAccount = data.account;
+          this.currentAccount = data.account;
+        }
+        this.isAccountFormOpen = false;
+        this.fetchAccounts();
+      } catch (error) {
+        console.error('Error saving account:', error);
+        this.accountFormError = error.message;
+      } finally {
+        this.accountFormSaving = false;
+      }
+    },
+
+    async deleteAccountFromForm() {
+      const { name } = this.accountForm;
+      if (!confirm(`Remove account ${name}? Its sync history is kept and restored if you add it again.`)) {
+        return;
+      }
+
+      this.accountFormSaving = true;
+      this.accountFormError = null;
+      try {
+        const response = await fetch(`/api/accounts/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+        this.addLogEntry('success', `Account ${name} removed`);
+        if (this.selectedAccount?.id === name) {
+          this.selectedAccount = null;
+        }
+        this.isAccountFormOpen = false;
+        this.fetchAccounts();
+      } catch (error) {
+        console.error('Error removing account:', error);
+        this.accountFormError = error.message;
+      } finally {
+        this.accountFormSaving = false;
+      }
+    },
+
+    // --- Connection Test State and Methods ---
+    isConnectionTestOpen: false,
+    connectionTestAccount: '',
+    connectionTestReport: null, // { ok, testedAt, checks: [] }
+    connectionTestLoading: false,
+    connectionTestError: null,
+
+    async testConnection(account) {
+      this.connectionTestAccount = account.name;
+      this.connectionTestReport = null;
+      this.connectionTestError = null;
+      this.connectionTestLoading = true;
+      this.isConnectionTestOpen = true;
+      this.showAccountModal = false;
+
+      try {
+        const response = await fetch(`/api/accounts/${encodeURIComponent(account.name)}/test`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+        this.connectionTestReport = data;
+        const failed = data.checks.filter(check => !check.ok).length;
+        this.addLogEntry(data.ok ? 'success' : 'error',
+          `Connection test for ${account.name}: ${data.ok ? 'all checks passed' : `${failed} check(s) failed`}`);
+      } catch (error) {
+        console.error('Error testing connection:', error);
+        this.connectionTestError = error.message;
+      } finally {
+        this.connectionTestLoading = false;
+      }
+    },
+
+    // --- Setup Wizard State and Methods ---
+    isSetupWizardOpen: false,
+    setupStep: 1, // 1: ShipStation store, 2: Whatnot token, 3: review and save
+    setup: null,
+    setupLoading: false,
+    setupError: null,
+
+    openSetupWizard() {
+      this.setup = {
+        name: '',
+        useOwnCredentials: false,
+        shipstationApiKey: '',
+        shipstationApiSecret: '',
+        stores: null,
+        shipstationStoreId: null,
+        whatnotToken: '',
+        tokenCheck: null,
+        checks: []
+      };
+      this.setupStep = 1;
+      this.setupError = null;
+      this.isSetupWizardOpen = true;
+      this.showAccountModal = false;
+    },
+
+    // ShipStation credentials for the setup requests, if the account has its own
+    setupCredentials() {
+      return this.setup.useOwnCredentials
+        ? { shipstationApiKey: this.setup.shipstationApiKey.trim(), shipstationApiSecret: this.setup.shipstationApiSecret.trim() }
+        : {};
+    },
+
+    async setupRequest(url, body) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        const error = new Error(data.error || `Server returned ${response.status}`);
+        error.checks = data.checks;
+        throw error;
+      }
+      return data;
+    },
+
+    async loadSetupStores() {
+      this.setupLoading = true;
+      this.setupError = null;
+      try {
+        const { stores } = await this.setupRequest('/api/setup/stores', this.setupCredentials());
+        this.setup.stores = stores;
+        this.setup.shipstationStoreId = stores.find(store => store.active)?.storeId ?? null;
+      } catch (error) {
+        console.error('Error listing ShipStation stores:', error);
+        this.setupError = error.message;
+      } finally {
+        this.setupLoading = false;
+      }
+    },
+
+    async testSetupToken() {
+      this.setupLoading = true;
+      this.setupError = null;
+      this.setup.tokenCheck = null;
+      try {
+        this.setup.tokenCheck = await this.setupRequest('/api/setup/whatnot-token', { whatnotToken: this.setup.whatnotToken.trim() });
+      } catch (error) {
+        console.error('Error checking Whatnot token:', error);
+        this.setupError = error.message;
+      } finally {
+        this.setupLoading = false;
+      }
+    },
+
+    async finishSetup() {
+      const { name, shipstationStoreId, whatnotToken } = this.setup;
+      this.setupLoading = true;
+      this.setupError = null;
+      this.setup.checks = [];
+      try {
+        const data = await this.setupRequest(`/api/setup/accounts/${encodeURIComponent(name)}`, {
+          ...this.setupCredentials(),
+          shipstationStoreId,
+          whatnotToken: whatnotToken.trim(),
+          enabled: true
+        });
+        this.setup.checks = data.checks;
+        this.addLogEntry('success', `Account ${name} set up for ShipStation store ${shipstationStoreId}`);
+        this.isSetupWizardOpen = false;
+        this.fetchAccounts();
+      } catch (error) {
+        console.error('Error setting up account:', error);
+        this.setup.checks = error.checks || [];
+        this.setupError = error.message;
+      } finally {
+        this.setupLoading = false;
+      }
+    },
+
     clearLog() {
       this.logEntries = [];
       this.addLogEntry('info', 'Log cleared');
@@ -429,6 +655,10 @@ function appData() {
         return 'No items to process';
       }
 
+      if (this.syncType === 'reconcile') {
+        return `Checked ${account.processed} orders, ${account.cancelled || 0} cancelled`;
+      }
+
       if (this.syncType === 'tracking' && account.updated !== undefined) {
         const updated = account.updated;
         const total = account.processed;
@@ -449,6 +679,8 @@ function appData() {
 
       if (this.syncType === 'tracking') {
         return `Updated ${this.progress.successful} tracking codes (${percentage}% complete)`;
+      } else if (this.syncType === 'reconcile') {
+        return `Changed ${this.progress.successful} ShipStation orders (${percentage}% complete)`;
       } else {
         return `Created ${this.progress.successful} orders (${percentage}% complete)`;
       }
@@ -459,6 +691,321 @@ function appData() {
       return string.charAt(0).toUpperCase() + string.slice(1);
     },
 
+    // --- Failed Orders Dialog State and Methods ---
+    isFailedOrdersDialogOpen: false,
+    failedOrdersData: { total: 0, accounts: [] },
+    failedOrdersLoading: false,
+    failedOrdersError: null,
+    retryingFailedOrders: false,
+
+    fetchFailedOrders() {
+      this.failedOrdersLoading = true;
+      this.failedOrdersError = null;
+
+      return fetch('/api/failed-orders')
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to fetch failed orders: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => {
+          this.failedOrdersData = data;
+        })
+        .catch(error => {
+          console.error('Error fetching failed orders:', error);
+          this.failedOrdersError = error.message;
+        })
+        .finally(() => {
+          this.failedOrdersLoading = false;
+        });
+    },
+
+    openFailedOrdersDialog() {
+      this.isFailedOrdersDialogOpen = true;
+      this.fetchFailedOrders();
+    },
+
+    formatFailedOrderError(error) {
+      return typeof error === 'string' ? error : JSON.stringify(error);
+    },
+
+    // Retry a single failed order group, or all of an account's groups when id is omitted
+    async retryFailedOrders(accountName, id = null) {
+      if (this.retryingFailedOrders || this.isRunning) return;
+
+      this.retryingFailedOrders = true;
+      this.syncType = 'retry';
+      this.addLogEntry('info', `Retrying ${id ? 'failed order' : 'all failed orders'} for account: ${accountName}`);
+
+      try {
+        const response = await fetch('/api/failed-orders/retry', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ accountId: accountName, id })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+      } catch (error) {
+        console.error('Error retrying failed orders:', error);
+        this.addLogEntry('error', `Failed to retry orders: ${error.message}`);
+      } finally {
+        this.retryingFailedOrders = false;
+        this.fetchFailedOrders();
+      }
+    },
+
+    // --- Sync Reports Dialog State and Methods ---
+    isReportsDialogOpen: false,
+    syncReports: [],
+    reportsLoading: false,
+    reportsError: null,
+
+    async openReportsDialog() {
+      this.isReportsDialogOpen = true;
+      this.reportsLoading = true;
+      this.reportsError = null;
+
+      try {
+        const response = await fetch('/api/sync-reports');
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+        this.syncReports = data.reports;
+      } catch (error) {
+        console.error('Error fetching sync reports:', error);
+        this.reportsError = error.message;
+      } finally {
+        this.reportsLoading = false;
+      }
+    },
+
+    reportDownloadUrl(report, format) {
+      return `/api/sync-reports/${encodeURIComponent(report.accountId)}/${encodeURIComponent(report.jobRun)}?format=${format}`;
+    },
+
+    // --- Pickups Dialog State and Methods ---
+    isPickupsDialogOpen: false,
+    pickupsData: { total: 0, waiting: 0, accounts: [] },
+    pickupsLoading: false,
+    pickupsError: null,
+    pickupStatusFilter: 'waiting',
+    pickupStaffName: '',
+
+    async fetchPickups() {
+      this.pickupsLoading = true;
+      this.pickupsError = null;
+
+      try {
+        const response = await fetch(`/api/pickups?status=${this.pickupStatusFilter}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+        this.pickupsData = data;
+      } catch (error) {
+        console.error('Error fetching pickups:', error);
+        this.pickupsError = error.message;
+      } finally {
+        this.pickupsLoading = false;
+      }
+    },
+
+    openPickupsDialog() {
+      this.isPickupsDialogOpen = true;
+      this.fetchPickups();
+    },
+
+    async markPickedUp(accountName, pickup) {
+      const pickedUpBy = this.pickupStaffName.trim();
+      if (!pickedUpBy) {
+        this.pickupsError = 'Enter your name before marking an order as picked up';
+        return;
+      }
+
+      try {
+        const response = await fetch(`/api/pickups/${encodeURIComponent(accountName)}/${encodeURIComponent(pickup.whatnotOrderId)}/picked-up`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ pickedUpBy })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+        this.addLogEntry('success', `Order ${pickup.whatnotOrderId} for ${pickup.customerUsername} picked up`);
+      } catch (error) {
+        console.error('Error marking order picked up:', error);
+        this.pickupsError = error.message;
+      } finally {
+        this.fetchPickups();
+      }
+    },
+
+    pickupRosterUrl(accountName) {
+      return `/api/pickups/${encodeURIComponent(accountName)}/roster`;
+    },
+
+    // --- Sync Preview Dialog State and Methods ---
+    isPreviewDialogOpen: false,
+    previewData: null, // { total: {}, accounts: [] }
+    previewLoading: false,
+    previewError: null,
+
+    // Orders from every previewed account, flattened for display
+    get previewOrders() {
+      if (!this.previewData) return [];
+      return this.previewData.accounts.flatMap(account => account.orders || []);
+    },
+
+    // Livestreams still running in the previewed accounts, with the account each belongs to
+    get previewOpenStreams() {
+      if (!this.previewData) return [];
+      return this.previewData.accounts.flatMap(account =>
+        (account.openStreams || []).map(stream => ({ ...stream, accountName: account.name }))
+      );
+    },
+
+    async openPreviewDialog() {
+      if (!this.selectedAccount) return;
+
+      this.isPreviewDialogOpen = true;
+      this.previewLoading = true;
+      this.previewError = null;
+      this.previewData = null;
+      this.addLogEntry('info', `Previewing order sync for account: ${this.selectedAccount.name}`);
+
+      try {
+        const response = await fetch('/api/sync/preview', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            accountId: this.selectedAccount.id
+          })
+        });
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`HTTP error! Status: ${response.status} - ${errorText}`);
+        }
+        this.previewData = await response.json();
+        this.addLogEntry('info', `Preview complete: ${this.previewData.total.orders} ShipStation orders would be created`);
+      } catch (error) {
+        console.error('Error previewing sync:', error);
+        this.previewError = error.message || 'Failed to load preview.';
+        this.addLogEntry('error', `Failed to preview sync: ${this.previewError}`);
+      } finally {
+        this.previewLoading = false;
+      }
+    },
+
+    async markStreamFinished(stream) {
+      try {
+        const response = await fetch(`/api/streams/${encodeURIComponent(stream.accountName)}/${encodeURIComponent(stream.streamId)}/finish`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ finishedBy: 'dashboard' })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+        this.addLogEntry('success', `Livestream ${stream.streamId} marked finished; its orders are created on the next sync`);
+        this.openPreviewDialog();
+      } catch (error) {
+        console.error('Error marking livestream finished:', error);
+        this.previewError = error.message;
+      }
+    },
+
+    // --- Shipping Presets Dialog State and Methods ---
+    isPresetsDialogOpen: false,
+    presetsJson: '',
+    presetSample: { itemsText: '1 Trading card', value: 25, country: 'US' },
+    presetsResult: null, // { matched: [], fields: {} }
+    presetsLoading: false,
+    presetsError: null,
+
+    async openPresetsDialog() {
+      if (!this.selectedAccount) return;
+
+      this.isPresetsDialogOpen = true;
+      this.presetsResult = null;
+      this.presetsError = null;
+      try {
+        const response = await fetch(`/api/shipping-presets/${encodeURIComponent(this.selectedAccount.id)}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+        this.presetsJson = JSON.stringify(data.presets, null, 2);
+      } catch (error) {
+        console.error('Error fetching shipping presets:', error);
+        this.presetsError = error.message;
+      }
+    },
+
+    // Sample items are entered one per line as "<quantity> <title>", e.g. "2 Pokemon card"
+    parsePresetSampleItems() {
+      return this.presetSample.itemsText.split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+          const match = line.match(/^(\d+)\s*[x×]?\s+(.+)$/i);
+          return match ? { quantity: Number(match[1]), name: match[2] } : { quantity: 1, name: line };
+        });
+    },
+
+    async testShippingPresets() {
+      this.presetsLoading = true;
+      this.presetsError = null;
+      this.presetsResult = null;
+
+      try {
+        let presets;
+        try {
+          presets = JSON.parse(this.presetsJson || '[]');
+        } catch (error) {
+          throw new Error(`Presets are not valid JSON: ${error.message}`);
+        }
+
+        const response = await fetch(`/api/shipping-presets/${encodeURIComponent(this.selectedAccount.id)}/test`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            presets,
+            sample: {
+              items: this.parsePresetSampleItems(),
+              value: Number(this.presetSample.value) || 0,
+              country: this.presetSample.country || 'US'
+            }
+          })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Server returned ${response.status}`);
+        }
+        this.presetsResult = data;
+      } catch (error) {
+        console.error('Error testing shipping presets:', error);
+        this.presetsError = error.message;
+      } finally {
+        this.presetsLoading = false;
+      }
+    },
+
     // --- NEW: Counts Dialog State and Methods ---
     isCountsDialogOpen: false,
     countsData: null, // { totals: {}, timeSeries: {}, bucketType: '' }
@@ -0,0 +1,44 @@
+import { loadAccounts, saveAccounts, encryptAccountSecrets, encryptAccountBackups } from '../utils/accounts.js';
+import { hasMasterKey } from '../utils/secrets.js';
+import { fileURLToPath } from 'url';
+import 'dotenv/config';
+
+/**
+ * Encrypt the plaintext Whatnot tokens in accounts.json and its backups under SECRETS_MASTER_KEY.
+ * Accounts whose token is already encrypted are left alone, so the migration can be re-run.
+ * @returns {Promise<{migrated: Array<string>, skipped: Array<string>, backups: Array<string>}>} Names of the
+ *   accounts encrypted and left alone, and the backups rewritten
+ */
+export async function migrateSecrets() {
+  if (!hasMasterKey()) {
+    throw new Error('Set SECRETS_MASTER_KEY before migrating; it is needed to decrypt the tokens afterwards');
+  }
+
+  const accounts = await loadAccounts();
+  const migrated = accounts.filter(account => account.whatnotToken).map(account => account.name);
+  const skipped = accounts.filter(account => !account.whatnotToken).map(account => account.name);
+  if (migrated.length > 0) {
+    await saveAccounts(accounts.map(encryptAccountSecrets));
+  }
+
+  console.log(`Encrypted the Whatnot token of ${migrated.length} accounts${migrated.length > 0 ? `: ${migrated.join(', ')}` : ''}`);
+  if (skipped.length > 0) {
+    console.log(`Already encrypted or without a token: ${skipped.join(', ')}`);
+  }
+
+  // Backups made before the key was set still hold the plaintext tokens
+  const backups = await encryptAccountBackups();
+  if (backups.length > 0) {
+    console.log(`Encrypted the Whatnot tokens in ${backups.length} backups in accounts_backups/`);
+  }
+
+  return { migrated, skipped, backups };
+}
+
+// Run the migration if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  migrateSecrets().catch(error => {
+    console.error('Fatal error migrating secrets:', error.message);
+    process.exit(1);
+  });
+}
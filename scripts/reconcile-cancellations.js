@@ -0,0 +1,256 @@
+import { createShipStationService } from '../services/shipstation.js';
+import { createWhatnotService } from '../services/whatnot.js';
+import { removeWhatnotOrder } from '../utils/mapping.js';
+import { loadLedger, updateLedgerEntries } from '../utils/order-ledger.js';
+import { getSyncSettings } from '../utils/account-settings.js';
+import { loadAccounts } from '../utils/accounts.js';
+import { fileURLToPath } from 'url';
+import 'dotenv/config';
+
+// How far back to re-check synced orders for cancellations
+const RECONCILE_LOOKBACK_DAYS = Number(process.env.RECONCILE_LOOKBACK_DAYS || 14);
+
+/**
+ * Check whether a Whatnot order has been cancelled
+ * @param {Object|null} order - Order status from WhatnotService.getOrderStatus
+ * @returns {boolean} True if the order is cancelled
+ */
+function isCancelled(order) {
+  return Boolean(order && (order.cancelledAt || order.status === 'CANCELLED'));
+}
+
+/**
+ * Get ledger entries synced within the lookback window that have not been reconciled as cancelled
+ * @param {Object} ledger - Ledger loaded with loadLedger
+ * @returns {Array<Object>} Ledger entries to re-check
+ */
+function getRecentEntries(ledger) {
+  const since = Date.now() - RECONCILE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+  return Object.values(ledger.orders).filter(entry =>
+    !entry.cancelledAt && new Date(entry.syncedAt).getTime() >= since
+  );
+}
+
+/**
+ * Remove cancelled Whatnot orders from one ShipStation order. The order is cancelled,
+ * or put on hold, when no items are left.
+ * @param {import('../services/shipstation.js').default} shipstation - ShipStation service
+ * @param {Object} account - Account configuration
+ * @param {string|number} shipstationOrderId - ShipStation order the cancelled orders were synced to
+ * @param {Array<Object>} cancelledOrders - Cancelled Whatnot orders
+ * @returns {Promise<Object>} Change made, with `action` and a log `message`
+ */
+async function reconcileShipStationOrder(shipstation, account, shipstationOrderId, cancelledOrders) {
+  const existingOrder = await shipstation.getOrder(shipstationOrderId);
+  const whatnotIds = cancelledOrders.map(order => order.id);
+  const change = {
+    shipstationOrderId,
+    orderNumber: existingOrder.orderNumber,
+    whatnotIds,
+    previousStatus: existingOrder.orderStatus
+  };
+
+  if (existingOrder.orderStatus === 'shipped') {
+    return {
+      ...change,
+      action: 'shipped',
+      message: `Order ${existingOrder.orderNumber} already shipped; cancelled Whatnot orders ${whatnotIds.join(', ')} need manual follow-up`,
+      logType: 'warning'
+    };
+  }
+
+  if (existingOrder.orderStatus === 'cancelled') {
+    return {
+      ...change,
+      action: 'already_cancelled',
+      message: `Order ${existingOrder.orderNumber} is already cancelled in ShipStation`,
+      logType: 'info'
+    };
+  }
+
+  const settings = getSyncSettings(account);
+  const updatedOrder = cancelledOrders.reduce((order, cancelled) => removeWhatnotOrder(order, cancelled, settings), existingOrder);
+
+  if (updatedOrder.items.length > 0) {
+    await shipstation.saveOrder(updatedOrder);
+    return {
+      ...change,
+      action: 'removed',
+      remainingItems: updatedOrder.items.length,
+      message: `Removed cancelled Whatnot orders ${whatnotIds.join(', ')} from order ${existingOrder.orderNumber} (${updatedOrder.items.length} items left)`,
+      logType: 'warning'
+    };
+  }
+
+  // Nothing is left to ship, so only the status changes; the cancelled items and their
+  // amounts are not written back
+  const { items, ...orderWithoutItems } = existingOrder;
+  if (settings.cancellationAction === 'hold') {
+    await shipstation.saveOrder({ ...orderWithoutItems, orderStatus: 'on_hold' });
+    return {
+      ...change,
+      action: 'held',
+      message: `All items in order ${existingOrder.orderNumber} were cancelled; order put on hold`,
+      logType: 'warning'
+    };
+  }
+
+  await shipstation.saveOrder({ ...orderWithoutItems, orderStatus: 'cancelled' });
+  return {
+    ...change,
+    action: 'cancelled',
+    message: `All items in order ${existingOrder.orderNumber} were cancelled; order cancelled in ShipStation`,
+    logType: 'warning'
+  };
+}
+
+/**
+ * Reconcile Whatnot cancellations for a single account
+ * @param {Object} account - Account configuration
+ * @param {Function} [progressCallback] - Optional callback for reporting progress
+ * @returns {Promise<Object>} Results of the reconciliation
+ */
+async function processAccount(account, progressCallback = null) {
+  console.log(`\n=== Reconciling cancellations for account: ${account.name} ===`);
+
+  const results = { processed: 0, total: 0, cancelled: 0, updated: 0, changes: [], errors: [] };
+
+  if (!account.enabled) {
+    console.log('Account is disabled, skipping');
+    return results;
+  }
+
+  const report = (phase, logMessage, logType = 'info') => {
+    if (progressCallback && typeof progressCallback === 'function') {
+      progressCallback({
+        total: results,
+        accounts: [{ name: account.name, ...results }],
+        phase,
+        logMessage,
+        logType
+      });
+    }
+  };
+
+  try {
+    const shipstation = createShipStationService(account);
+    const whatnot = createWhatnotService(account);
+
+    const ledger = await loadLedger(account.name);
+    const entries = getRecentEntries(ledger);
+    results.total = entries.length;
+    report('fetch', `Checking ${entries.length} orders synced in the last ${RECONCILE_LOOKBACK_DAYS} days for ${account.name}...`);
+
+    // Group cancelled orders by the ShipStation order they were synced to
+    const cancelledByShipStationOrder = new Map();
+    for (const entry of entries) {
+      try {
+        const order = await whatnot.getOrderStatus(entry.whatnotOrderId);
+        if (isCancelled(order)) {
+          const cancelled = cancelledByShipStationOrder.get(entry.shipstationOrderId) || [];
+          cancelled.push(order);
+          cancelledByShipStationOrder.set(entry.shipstationOrderId, cancelled);
+          results.cancelled++;
+        }
+      } catch (error) {
+        console.error(`Error checking Whatnot order ${entry.whatnotOrderId}:`, error.message);
+        results.errors.push({ whatnotOrderId: entry.whatnotOrderId, error: error.message });
+      }
+      results.processed++;
+    }
+
+    report('check_complete', `Found ${results.cancelled} cancelled orders in ${cancelledByShipStationOrder.size} ShipStation orders for ${account.name}`);
+
+    for (const [shipstationOrderId, cancelledOrders] of cancelledByShipStationOrder) {
+      try {
+        const change = await reconcileShipStationOrder(shipstation, account, shipstationOrderId, cancelledOrders);
+        const reconciledAt = new Date().toISOString();
+
+        await updateLedgerEntries(account.name, Object.fromEntries(cancelledOrders.map(order => [order.id, {
+          cancelledAt: order.cancelledAt || reconciledAt,
+          cancellation: { action: change.action, reconciledAt }
+        }])));
+
+        const { message, logType, ...recorded } = change;
+        results.changes.push(recorded);
+        if (change.action !== 'shipped' && change.action !== 'already_cancelled') {
+          results.updated++;
+        }
+        console.log(message);
+        report('update', message, logType);
+      } catch (error) {
+        const errorMsg = `Error removing cancelled orders from ShipStation order ${shipstationOrderId}: ${error.message}`;
+        console.error(errorMsg);
+        results.errors.push({
+          shipstationOrderId,
+          orderIds: cancelledOrders.map(order => order.id),
+          error: error.message
+        });
+        report('update', errorMsg, 'error');
+      }
+    }
+
+    console.log('\nCancellation reconciliation results:');
+    console.log(`- Orders checked: ${results.processed}`);
+    console.log(`- Cancelled in Whatnot: ${results.cancelled}`);
+    console.log(`- ShipStation orders changed: ${results.updated}`);
+    console.log(`- Errors: ${results.errors.length}`);
+
+    report('complete', `Completed cancellation check for ${account.name}: ${results.cancelled} cancelled, ${results.updated} ShipStation orders changed, ${results.errors.length} errors.`);
+    return results;
+  } catch (error) {
+    console.error(`Error processing account ${account.name}:`, error);
+    results.errors.push({ accountId: account.name, error: error.message });
+    report('error', `Error processing account ${account.name}: ${error.message}`, 'error');
+    return results;
+  }
+}
+
+/**
+ * Re-check recently synced Whatnot orders and propagate cancellations to ShipStation
+ * @param {Array<Object>} accountsToProcess - Optional array of accounts to process (default: all enabled accounts)
+ * @param {Function} progressCallback - Optional callback for reporting progress
+ * @returns {Promise<Object>} Results of the reconciliation
+ */
+export async function reconcileCancellations(accountsToProcess = null, progressCallback = null) {
+  console.log('=== Starting Whatnot cancellation reconciliation ===');
+  console.log(`Time: ${new Date().toISOString()}`);
+
+  let accounts = accountsToProcess;
+  if (!accounts) {
+    accounts = await loadAccounts();
+    accounts = accounts.filter(acc => acc.enabled);
+  }
+  console.log(`Loaded ${accounts.length} accounts`);
+
+  const results = {
+    total: { processed: 0, cancelled: 0, updated: 0, errors: [] },
+    accounts: []
+  };
+
+  for (const account of accounts) {
+    const accountResult = await processAccount(account, progressCallback);
+
+    results.total.processed += accountResult.processed;
+    results.total.cancelled += accountResult.cancelled;
+    results.total.updated += accountResult.updated;
+    results.total.errors = results.total.errors.concat(accountResult.errors);
+    results.accounts.push({ name: account.name, ...accountResult });
+  }
+
+  console.log('\n=== Cancellation Reconciliation Complete ===');
+  console.log(`Total orders checked: ${results.total.processed}`);
+  console.log(`Total cancelled in Whatnot: ${results.total.cancelled}`);
+  console.log(`Total ShipStation orders changed: ${results.total.updated}`);
+  console.log(`Total errors: ${results.total.errors.length}`);
+
+  return results;
+}
+
+// Run the reconciliation if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  reconcileCancellations().catch(error => {
+    console.error('Fatal error in cancellation reconciliation:', error);
+    process.exit(1);
+  });
+}
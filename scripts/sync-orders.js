@@ -1,50 +1,446 @@
-import WhatnotService from '../services/whatnot.js';
-import ShipStationService from '../services/shipstation.js';
+import { createWhatnotService } from '../services/whatnot.js';
+import { createShipStationService } from '../services/shipstation.js';
 import OrderValidator from '../utils/validation.js';
-import { readFile } from 'fs/promises';
-import { join } from 'path';
+import { partitionOrders, isLivestreamOrder, getSalesChannel } from '../utils/order-grouping.js';
+import { mapWhatnotToShipStation, getHoldReasons } from '../utils/mapping.js';
+import { getSyncSettings, usesSequenceNumbers, validateAccountSettings } from '../utils/account-settings.js';
+import { getSequenceNumbers } from '../utils/order-sequence.js';
+import { saveSyncReport } from '../utils/sync-reports.js';
+import { loadLedger, partitionByLedger, getLedgerOrderKeys, getLedgerBuyers } from '../utils/order-ledger.js';
+import { loadFailedOrders, parkFailedOrders, removeFailedOrders } from '../utils/failed-orders.js';
+import { loadHeldGiveaways, getHeldOrders, replaceHeldGiveaways, addHeldGiveaways } from '../utils/held-giveaways.js';
+import { recordPickupOrders } from '../utils/pickups.js';
+import { applyShippingPresets } from '../utils/shipping-presets.js';
+import {
+  loadStreamState,
+  getStreamSlots,
+  recordStreamSlots,
+  getDeferredOrders,
+  splitByStreamCompletion,
+  getStreamClosesAt,
+  getHoldUntilDate,
+  updateStreamState
+} from '../utils/stream-state.js';
+import { loadAccounts } from '../utils/accounts.js';
 import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import 'dotenv/config';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+/**
+ * Attach the Whatnot orders to each failed group so the group can be retried later
+ * @param {Array<Object>} failures - Failed groups from ShipStationService.createOrders
+ * @param {Array<Object>} orders - Whatnot orders the groups were built from
+ * @returns {Array<Object>} Failed groups with an `orders` array
+ */
+function withFailedOrders(failures, orders) {
+  const ordersById = new Map(orders.map(order => [order.id, order]));
+  return failures.map(failure => ({
+    ...failure,
+    orders: failure.whatnotIds.map(id => ordersById.get(id)).filter(Boolean)
+  }));
+}
 
 /**
- * Load account configuration from accounts.json
+ * Count orders sold outside a livestream, per sales channel
+ * @param {Array<Object>} orders - Whatnot orders
+ * @returns {{count: number, summary: string}} Number of such orders and a per-channel summary for logs
  */
-async function loadAccounts() {
-  try {
-    const accountsPath = join(__dirname, '../accounts.json');
-    const data = await readFile(accountsPath, 'utf-8');
-    return JSON.parse(data).accounts;
-  } catch (error) {
-    console.error('Error loading accounts:', error);
-    throw error;
+function countNonLivestreamOrders(orders) {
+  const byChannel = new Map();
+  for (const order of orders.filter(order => !isLivestreamOrder(order))) {
+    const { label } = getSalesChannel(order);
+    byChannel.set(label, (byChannel.get(label) || 0) + 1);
   }
+
+  return {
+    count: Array.from(byChannel.values()).reduce((sum, count) => sum + count, 0),
+    summary: Array.from(byChannel, ([label, count]) => `${label}: ${count}`).join(', ')
+  };
+}
+
+/**
+ * Work out what happened to every fetched order in a sync run
+ * @param {Object} params - Outcome of each sync step
+ * @param {Array<Object>} params.orders - All orders fetched from Whatnot
+ * @param {Array<Object>} [params.rechecked] - Orders kept from earlier runs (held giveaways and deferred orders)
+ *   that were checked again, as fetched now or, for orders Whatnot no longer returns, as stored
+ * @param {Array<Object>} [params.invalid] - Orders rejected by validation, with `errors`
+ * @param {Array<Object>} [params.pickups] - Orders added to the pickup list
+ * @param {Array<Object>} [params.synced] - Orders the ledger says were already synced
+ * @param {Object} [params.ledger] - Ledger the synced orders were found in
+ * @param {Object} [params.creation] - Results of ShipStationService.createOrders
+ * @param {Map<string, Object>} [params.deferredStreams] - Open livestreams whose orders were deferred
+ * @param {Map<string|number, Object>} [params.streamHolds] - ShipStation orders put on hold until their stream finishes
+ * @returns {Array<Object>} One disposition per fetched or re-checked order
+ */
+function buildDispositions({ orders, rechecked = [], invalid = [], pickups = [], synced = [], ledger = { orders: {} }, creation = null, deferredStreams = new Map(), streamHolds = new Map() }) {
+  const ordersById = new Map([...orders, ...rechecked].map(order => [order.id, order]));
+  const recheckedIds = new Set(rechecked.map(order => order.id));
+  const dispositions = new Map();
+  const record = (whatnotOrderId, disposition, details = {}) => {
+    dispositions.set(whatnotOrderId, {
+      whatnotOrderId,
+      disposition,
+      reason: null,
+      customerUsername: ordersById.get(whatnotOrderId)?.customer?.username || null,
+      // Validation rules that fired for the order, as rule:action
+      rules: (ordersById.get(whatnotOrderId)?.firedRules || []).map(({ rule, action }) => `${rule}:${action}`).join(', ') || null,
+      streamId: null,
+      orderNumber: null,
+      shipstationOrderId: null,
+      // Kept from an earlier run rather than fetched in this one
+      rechecked: recheckedIds.has(whatnotOrderId),
+      ...details
+    });
+  };
+
+  for (const { order, errors } of invalid) {
+    record(order.id, 'invalid', { reason: errors.join('; ') });
+  }
+
+  for (const order of pickups) {
+    record(order.id, 'pickup', { reason: 'Added to the pickup list' });
+  }
+
+  for (const stream of deferredStreams.values()) {
+    for (const order of stream.orders) {
+      record(order.id, 'deferred', {
+        reason: `Livestream ${stream.streamId} is still running; waiting until ${stream.closesAt.toISOString()}`,
+        streamId: stream.streamId
+      });
+    }
+  }
+
+  for (const order of synced) {
+    const entry = ledger.orders[order.id];
+    record(order.id, 'dropped', {
+      reason: `Already synced to ShipStation order ${entry.orderNumber}`,
+      streamId: entry.streamId,
+      orderNumber: entry.orderNumber,
+      shipstationOrderId: entry.shipstationOrderId
+    });
+  }
+
+  if (creation) {
+    for (const { whatnotId, reason } of creation.dropped) {
+      record(whatnotId, 'dropped', { reason });
+    }
+
+    for (const success of creation.successful) {
+      const details = {
+        streamId: success.streamId,
+        orderNumber: success.orderNumber,
+        shipstationOrderId: success.shipstationId
+      };
+      const streamHold = streamHolds.get(success.shipstationId);
+      const holdReason = success.holdReasons?.length > 0
+        ? `On hold: ${success.holdReasons.join(', ')}`
+        : streamHold ? `On hold until livestream ${streamHold.streamId} finishes (holdUntil ${streamHold.holdUntilDate})` : null;
+      for (const whatnotId of success.whatnotIds) {
+        if (success.presentIds.includes(whatnotId)) {
+          record(whatnotId, 'dropped', { ...details, reason: `Already in ShipStation order ${success.orderNumber}` });
+        } else if (success.merged) {
+          record(whatnotId, 'merged', {
+            ...details,
+            reason: [`Merged into existing order ${success.orderNumber}`, holdReason].filter(Boolean).join('; ')
+          });
+        } else {
+          record(whatnotId, 'created', {
+            ...details,
+            reason: [success.followUp > 0 ? `Follow-up ${success.followUp} to an order that already shipped` : null, holdReason]
+              .filter(Boolean).join('; ') || null
+          });
+        }
+      }
+    }
+
+    for (const group of creation.held) {
+      for (const order of group.orders) {
+        record(order.id, 'held', {
+          reason: 'Giveaway held until the buyer has a paid order in the same stream',
+          streamId: group.streamId
+        });
+      }
+    }
+
+    for (const failure of creation.failed) {
+      const reason = typeof failure.error === 'string' ? failure.error : JSON.stringify(failure.error);
+      for (const whatnotId of failure.whatnotIds) {
+        record(whatnotId, 'failed', { reason, streamId: failure.streamId });
+      }
+    }
+  }
+
+  // Every fetched and re-checked order must be accounted for, so the counts always add up
+  for (const order of [...orders, ...rechecked]) {
+    if (!dispositions.has(order.id)) {
+      record(order.id, 'dropped', { reason: 'Not processed in this run' });
+    }
+  }
+
+  return Array.from(dispositions.values());
+}
+
+/**
+ * Persist the disposition report of a sync run
+ * @param {Object} account - Account configuration
+ * @param {string} jobRun - Identifier of the sync run
+ * @param {Array<Object>} orders - All orders fetched from Whatnot
+ * @param {Array<Object>} dispositions - Dispositions from buildDispositions
+ * @param {string} [error] - Why the run failed, if it did
+ * @returns {Promise<Object>} Report summary with `jobRun`, `counts`, `rechecked` and `error`
+ */
+async function saveDispositionReport(account, jobRun, orders, dispositions, error = null) {
+  if (!jobRun) {
+    return null;
+  }
+  const rechecked = dispositions.filter(disposition => disposition.rechecked).length;
+  const { counts } = await saveSyncReport(account.name, jobRun, { fetched: orders.length, rechecked, orders: dispositions, error });
+  return { jobRun, counts, rechecked, error };
+}
+
+/**
+ * Retry order groups parked in the failed order queue
+ * @param {Object} account - Account configuration
+ * @param {Array<string>} [entryIds] - Queue entries to retry (default: all)
+ * @param {Function} [progressCallback] - Optional callback for reporting progress
+ * @param {string} [jobRun] - Identifier of the sync run, recorded in the order ledger
+ * @returns {Promise<Object>} Results of the retry
+ */
+export async function retryFailedOrders(account, entryIds = null, progressCallback = null, jobRun = null) {
+  const results = { retried: 0, created: 0, failed: 0, held: 0, resolved: 0, invalid: 0, errors: [] };
+
+  const queue = await loadFailedOrders(account.name);
+  const entries = entryIds ? queue.filter(entry => entryIds.includes(entry.id)) : queue;
+  if (entries.length === 0) {
+    return results;
+  }
+
+  console.log(`Retrying ${entries.length} failed order groups for account ${account.name}`);
+
+  const settings = getSyncSettings(account);
+  const ledger = await loadLedger(account.name);
+  const streamSlots = getStreamSlots(await loadStreamState(account.name));
+  const whatnot = createWhatnotService(account);
+  const shipstation = createShipStationService(account);
+  const validator = new OrderValidator(settings);
+  const doneEntryIds = [];
+
+  for (const entry of entries) {
+    // Orders created since the failure (for example by a later sync) need no retry
+    const { pending } = partitionByLedger(ledger, entry.orders);
+    if (pending.length === 0) {
+      doneEntryIds.push(entry.id);
+      results.resolved++;
+      continue;
+    }
+
+    // The queued copies are from the failed run, so orders cancelled or changed in Whatnot
+    // since then are fetched and validated again instead of being created as they were
+    const stored = await refreshStoredOrders(whatnot, pending);
+    const { valid, pickups, ...validation } = await validator.validateOrders(stored.current);
+    const invalid = [...validation.invalid, ...stored.missing];
+    for (const item of invalid) {
+      console.log(`- Order ${item.order.id} is no longer retried: ${item.errors.join(', ')}`);
+    }
+    results.invalid += invalid.length;
+    if (pickups.length > 0) {
+      await recordPickupOrders(account.name, pickups, settings, jobRun);
+    }
+
+    let logMessage;
+    if (valid.length === 0) {
+      doneEntryIds.push(entry.id);
+      logMessage = `Removed failed order for ${entry.customerUsername} (stream ${entry.streamId}) from the retry queue; none of its orders can be created any more`;
+    } else {
+      results.retried++;
+      const outcome = await shipstation.createOrders(
+        valid,
+        account.shipstationStoreId,
+        null,
+        {
+          accountId: account.name,
+          jobRun,
+          settings,
+          knownOrderKeys: getLedgerOrderKeys(ledger),
+          knownBuyers: getLedgerBuyers(ledger),
+          streamSlots
+        }
+      );
+
+      // Groups that would now be held move to the held giveaways, which the next sync checks again
+      if (outcome.held.length > 0) {
+        await addHeldGiveaways(account.name, outcome.held, jobRun);
+        results.held++;
+      }
+
+      if (outcome.failed.length > 0) {
+        await parkFailedOrders(account.name, withFailedOrders(outcome.failed, valid), jobRun);
+        results.failed++;
+        results.errors.push(...outcome.failed);
+        logMessage = `Retry failed again for ${entry.customerUsername} (stream ${entry.streamId}), attempt ${entry.attempts + 1}`;
+      } else if (outcome.successful.length === 0) {
+        doneEntryIds.push(entry.id);
+        logMessage = `Moved failed order for ${entry.customerUsername} (stream ${entry.streamId}) to the held giveaways until the buyer has a paid order`;
+      } else {
+        doneEntryIds.push(entry.id);
+        results.created++;
+        logMessage = `Retried failed order for ${entry.customerUsername} (stream ${entry.streamId}) successfully`;
+      }
+    }
+
+    if (progressCallback && typeof progressCallback === 'function') {
+      progressCallback({
+        phase: 'retry',
+        logOnly: true,
+        logMessage
+      });
+    }
+  }
+
+  if (doneEntryIds.length > 0) {
+    await removeFailedOrders(account.name, doneEntryIds);
+  }
+
+  console.log(`Retry results: ${results.created} created, ${results.failed} failed, ${results.held} held, ${results.resolved} already synced, ${results.invalid} orders no longer valid`);
+  return results;
+}
+
+/**
+ * Put orders created for livestreams that are still running on hold until the stream
+ * finishes. Orders already on hold for another reason are left alone.
+ * @param {import('../services/shipstation.js').default} shipstation - ShipStation service
+ * @param {Array<Object>} successful - Successful results of ShipStationService.createOrders
+ * @param {Map<string, Object>} openStreams - Open livestreams from splitByStreamCompletion
+ * @param {Object} settings - Sync settings from getSyncSettings
+ * @returns {Promise<{held: Map<string, Array<Object>>, byOrderId: Map<string|number, Object>}>} Held orders per
+ *   stream reference, and each held order's stream
+ */
+async function holdOpenStreamOrders(shipstation, successful, openStreams, settings) {
+  const held = new Map();
+  const byOrderId = new Map();
+  const streamsById = new Map(Array.from(openStreams, ([ref, stream]) => [stream.streamId, { ref, ...stream }]));
+
+  for (const success of successful) {
+    const stream = streamsById.get(success.streamId);
+    if (!stream || success.alreadyPresent || success.orderStatus !== 'awaiting_shipment') {
+      continue;
+    }
+
+    const holdUntilDate = getHoldUntilDate(stream.closesAt, settings);
+    try {
+      await shipstation.holdOrder(success.shipstationId, holdUntilDate);
+      held.set(stream.ref, [...(held.get(stream.ref) || []), { shipstationOrderId: success.shipstationId, orderNumber: success.orderNumber }]);
+      byOrderId.set(success.shipstationId, { streamId: stream.streamId, holdUntilDate });
+    } catch (error) {
+      console.error(`Error holding order ${success.orderNumber} until livestream ${stream.streamId} finishes:`, error.response?.data || error.message);
+    }
+  }
+
+  if (byOrderId.size > 0) {
+    console.log(`Put ${byOrderId.size} orders on hold until their livestream finishes`);
+  }
+  return { held, byOrderId };
+}
+
+/**
+ * Fetch the current state of orders kept from earlier runs, so cancellations and
+ * address changes made in Whatnot since then are not missed
+ * @param {import('../services/whatnot.js').default} whatnot - Whatnot service for the account
+ * @param {Array<Object>} storedOrders - Stored copies of Whatnot orders
+ * @returns {Promise<{current: Array<Object>, missing: Array<{order: Object, errors: Array<string>}>}>} Current
+ *   orders, and the stored orders Whatnot no longer returns, as invalid entries
+ */
+async function refreshStoredOrders(whatnot, storedOrders) {
+  const current = [];
+  const missing = [];
+  for (const stored of storedOrders) {
+    const order = await whatnot.getOrder(stored.id);
+    if (order) {
+      current.push(order);
+    } else {
+      missing.push({ order: stored, errors: ['Order no longer found in Whatnot'] });
+    }
+  }
+  return { current, missing };
+}
+
+/**
+ * Save what a run learned about an account's livestreams, and release the orders held
+ * for streams that have finished since
+ * @param {Object} account - Account configuration
+ * @param {Object} settings - Sync settings from getSyncSettings
+ * @param {Object} streamState - State from loadStreamState at the start of the run
+ * @param {Object} changes - Streams seen, deferred and held in this run, see updateStreamState
+ * @param {string} [jobRun] - Identifier of the sync run
+ * @returns {Promise<number>} Number of ShipStation orders released from hold
+ */
+async function settleStreamState(account, settings, streamState, changes, jobRun = null) {
+  if (settings.openStreamAction === 'create' && Object.keys(streamState.streams).length === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const released = [];
+  let releasedCount = 0;
+  let shipstation = null;
+  for (const [ref, entry] of Object.entries(streamState.streams)) {
+    const newestOrderAt = changes.seen?.get(ref)?.newestOrderAt || entry.newestOrderAt;
+    if (entry.heldOrders.length === 0 || getStreamClosesAt({ ...entry, newestOrderAt }, settings) > now) {
+      continue;
+    }
+
+    // A failed release is only logged; ShipStation releases the order on its holdUntil date anyway
+    shipstation = shipstation || createShipStationService(account);
+    for (const hold of entry.heldOrders) {
+      try {
+        await shipstation.restoreFromHold(hold.shipstationOrderId);
+        releasedCount++;
+      } catch (error) {
+        console.error(`Error releasing order ${hold.orderNumber} from hold:`, error.response?.data || error.message);
+      }
+    }
+    released.push(ref);
+    console.log(`Livestream ${entry.streamId} finished; released ${entry.heldOrders.length} orders from hold`);
+  }
+
+  await updateStreamState(account.name, { ...changes, released }, jobRun);
+  return releasedCount;
 }
 
 /**
  * Process orders for a single account
  * @param {Object} account - Account configuration
+ * @param {Function} [progressCallback] - Optional callback for reporting progress
+ * @param {string} [jobRun] - Identifier of the sync run, recorded in the order ledger
  * @returns {Promise<Object>} Results of order processing
  */
-async function processAccount(account, progressCallback = null) {
+async function processAccount(account, progressCallback = null, jobRun = null) {
   console.log(`\n=== Processing account: ${account.name} ===`);
   
   if (!account.enabled) {
     console.log('Account is disabled, skipping');
-    return { processed: 0, created: 0, invalid: 0, errors: [] };
+    return { processed: 0, created: 0, invalid: 0, pickups: 0, addressHolds: 0, alreadySynced: 0, nonLivestream: 0, hydrated: 0, heldGiveaways: 0, deferred: 0, retried: 0, errors: [] };
   }
   
+  let orders = [];
+  let rechecked = [];
   try {
+    const settings = getSyncSettings(account);
+
+    // Retry order groups that failed in earlier runs before fetching new orders
+    const retryResults = await retryFailedOrders(account, null, progressCallback, jobRun);
+
     // Initialize Whatnot service
-    const whatnot = new WhatnotService(account.name, account.whatnotToken);
+    const whatnot = createWhatnotService(account);
     console.log('Fetching orders from Whatnot...');
     
     // Get orders from Whatnot
-    const orders = await whatnot.getOrders();
+    orders = await whatnot.getOrders();
+    const hydrated = whatnot.hydratedOrderIds.length;
     console.log(`Fetched ${orders.length} orders from Whatnot`);
+    if (hydrated > 0) {
+      console.log(`Fetched the full item list of ${hydrated} orders with more than one page of items`);
+    }
     
     // Report fetch phase completion to logs, but don't update UI progress
     if (progressCallback && typeof progressCallback === 'function') {
@@ -66,21 +462,54 @@ async function processAccount(account, progressCallback = null) {
         }],
         phase: 'fetch',
         logOnly: true,
-        logMessage: `Fetched ${orders.length} orders from Whatnot`
+        logMessage: hydrated > 0
+          ? `Fetched ${orders.length} orders from Whatnot (${hydrated} needed their full item list fetched)`
+          : `Fetched ${orders.length} orders from Whatnot`
       });
     }
     
-    if (orders.length === 0) {
+    // Livestreams with deferred orders or orders on hold are checked even when nothing new was fetched
+    let streamState = await loadStreamState(account.name);
+    const waitingStreams = Object.values(streamState.streams).filter(entry => entry.deferred.length > 0 || entry.heldOrders.length > 0);
+
+    if (orders.length === 0 && waitingStreams.length === 0) {
       console.log('No new orders to process');
-      return { processed: 0, created: 0, invalid: 0, errors: [] };
+      const report = await saveDispositionReport(account, jobRun, orders, []);
+      return { processed: 0, created: 0, invalid: 0, pickups: 0, addressHolds: 0, alreadySynced: 0, nonLivestream: 0, hydrated, heldGiveaways: 0, deferred: 0, retried: retryResults.created, report, dispositions: [], errors: [] };
     }
     
+    // Giveaways held in earlier runs are grouped again, so a new paid order can release them,
+    // and orders deferred in earlier runs are checked again, in case their livestream has finished.
+    // Their stored copies may be out of date, so they are fetched and validated again
+    const heldGiveaways = await loadHeldGiveaways(account.name);
+    const heldOrders = getHeldOrders(heldGiveaways, orders);
+    const deferredOrders = getDeferredOrders(streamState, [...orders, ...heldOrders]);
+    const stored = await refreshStoredOrders(whatnot, [...heldOrders, ...deferredOrders]);
+    rechecked = [...stored.current, ...stored.missing.map(item => item.order)];
+    if (heldOrders.length > 0) {
+      console.log(`Re-checking ${heldOrders.length} held giveaway orders`);
+    }
+    if (deferredOrders.length > 0) {
+      console.log(`Re-checking ${deferredOrders.length} orders deferred until their livestream finishes`);
+    }
+
     // Validate orders
     console.log('Validating orders...');
-    const validator = new OrderValidator();
-    const { valid, invalid } = await validator.validateOrders(orders);
+    const validator = new OrderValidator(settings);
+    const validation = await validator.validateOrders([...orders, ...stored.current]);
+    const { valid, pickups, addressFixed, addressHolds, customsHolds, ruleHits } = validation;
+    const invalid = [...validation.invalid, ...stored.missing];
     
-    console.log(`Validation results: ${valid.length} valid orders, ${invalid.length} invalid`);
+    console.log(`Validation results: ${valid.length} valid orders, ${pickups.length} pickup orders, ${invalid.length} invalid`);
+    if (addressFixed > 0 || addressHolds > 0) {
+      console.log(`Address checks: ${addressFixed} addresses normalized, ${addressHolds} orders to be created on hold`);
+    }
+    if (customsHolds > 0) {
+      console.log(`Customs checks: ${customsHolds} international orders to be created on hold for missing customs data`);
+    }
+    if (Object.keys(ruleHits).length > 0) {
+      console.log(`Validation rules fired: ${Object.entries(ruleHits).map(([rule, count]) => `${rule} ${count}x`).join(', ')}`);
+    }
     
     // Report validation phase completion to logs
     if (progressCallback && typeof progressCallback === 'function') {
@@ -102,7 +531,9 @@ async function processAccount(account, progressCallback = null) {
         }],
         phase: 'validation',
         logOnly: true,
-        logMessage: `Validated orders: ${valid.length} valid, ${invalid.length} invalid`
+        logMessage: `Validated orders: ${valid.length} valid, ${invalid.length} invalid` +
+          (addressHolds > 0 ? `, ${addressHolds} held for address review` : '') +
+          (customsHolds > 0 ? `, ${customsHolds} held for customs data` : '')
       });
     }
     
@@ -113,13 +544,82 @@ async function processAccount(account, progressCallback = null) {
       }
     }
     
-    if (valid.length === 0) {
+    // Pickup orders are handed over in person instead of shipped
+    if (pickups.length > 0) {
+      const added = await recordPickupOrders(account.name, pickups, settings, jobRun);
+      if (progressCallback && typeof progressCallback === 'function') {
+        progressCallback({
+          phase: 'validation',
+          logOnly: true,
+          logMessage: `Added ${added} orders to the pickup list (${pickups.length - added} already listed)`
+        });
+      }
+    }
+
+    // Skip orders the ledger says were already pushed to ShipStation
+    const ledger = await loadLedger(account.name);
+    const { pending: unsynced, synced } = partitionByLedger(ledger, valid);
+    if (synced.length > 0) {
+      console.log(`Skipping ${synced.length} orders already synced to ShipStation`);
+    }
+
+    // A livestream keeps the order key slot of the first run that saw it, so its later orders
+    // are merged into the ShipStation orders created earlier
+    streamState = await recordStreamSlots(account.name, valid, settings);
+    const streamSlots = getStreamSlots(streamState);
+
+    // Orders of livestreams that are still running are deferred or created on hold, per openStreamAction
+    const { ready, open, seen } = splitByStreamCompletion(unsynced, streamState, settings);
+    const deferredStreams = settings.openStreamAction === 'defer' ? open : new Map();
+    const pending = settings.openStreamAction === 'defer' ? ready : unsynced;
+    const deferred = Array.from(deferredStreams.values()).flatMap(stream => stream.orders);
+    const streamChanges = { seen, deferred: new Map(Array.from(deferredStreams, ([ref, stream]) => [ref, stream.orders])) };
+    if (deferred.length > 0) {
+      console.log(`Deferring ${deferred.length} orders from ${deferredStreams.size} livestreams that are still running`);
+      if (progressCallback && typeof progressCallback === 'function') {
+        progressCallback({
+          phase: 'validation',
+          logOnly: true,
+          logMessage: `Deferring ${deferred.length} orders until their livestream finishes (${Array.from(deferredStreams.values()).map(stream => stream.streamId).join(', ')})`
+        });
+      }
+    }
+
+    // Rejected, pickup, already-synced and deferred orders are settled; the cursor may move past them
+    const settledIds = [
+      ...invalid.map(item => item.order.id),
+      ...pickups.map(order => order.id),
+      ...synced.map(order => order.id),
+      ...deferred.map(order => order.id)
+    ];
+
+    if (pending.length === 0) {
       console.log('No valid orders to create in ShipStation');
-      return { processed: orders.length, created: 0, invalid: invalid.length, errors: [] };
+      await whatnot.commitCursor(settledIds);
+      await settleStreamState(account, settings, streamState, streamChanges, jobRun);
+      const dispositions = buildDispositions({ orders, rechecked, invalid, pickups, synced, ledger, deferredStreams });
+      const report = await saveDispositionReport(account, jobRun, orders, dispositions);
+      if (heldGiveaways.length > 0) {
+        await replaceHeldGiveaways(account.name, [], jobRun);
+      }
+      return { processed: orders.length, created: 0, invalid: invalid.length, pickups: pickups.length, addressHolds, alreadySynced: synced.length, nonLivestream: 0, hydrated, heldGiveaways: 0, deferred: deferred.length, retried: retryResults.created, report, dispositions, errors: [] };
+    }
+
+    // Marketplace and other non-livestream sales are grouped per channel per day
+    const nonLivestream = countNonLivestreamOrders(pending);
+    if (nonLivestream.count > 0) {
+      console.log(`Including ${nonLivestream.count} orders sold outside a livestream (${nonLivestream.summary})`);
+      if (progressCallback && typeof progressCallback === 'function') {
+        progressCallback({
+          phase: 'validation',
+          logOnly: true,
+          logMessage: `Including ${nonLivestream.count} orders sold outside a livestream (${nonLivestream.summary})`
+        });
+      }
     }
     
     // Initialize ShipStation service
-    const shipstation = new ShipStationService();
+    const shipstation = createShipStationService(account);
     
     // Log this phase start
     if (progressCallback && typeof progressCallback === 'function') {
@@ -141,7 +641,7 @@ async function processAccount(account, progressCallback = null) {
         }],
         phase: 'creation_start',
         logOnly: true,
-        logMessage: `Starting to create ShipStation orders from ${valid.length} valid Whatnot orders.`
+        logMessage: `Starting to create ShipStation orders from ${pending.length} valid Whatnot orders (${synced.length} already synced).`
       });
     }
     
@@ -150,8 +650,7 @@ async function processAccount(account, progressCallback = null) {
     
     // Incremental progress updates during ShipStation order creation
     const results = await shipstation.createOrders(
-      valid, 
-      account.whatnotToken, 
+      pending,
       account.shipstationStoreId,
       // Progress callback for ShipStation service
       (progress) => {
@@ -200,11 +699,71 @@ async function processAccount(account, progressCallback = null) {
           
           progressCallback(progressUpdate);
         }
+      },
+      {
+        accountId: account.name,
+        jobRun,
+        settings,
+        knownOrderKeys: getLedgerOrderKeys(ledger),
+        knownBuyers: getLedgerBuyers(ledger),
+        streamSlots
       }
     );
     
-    console.log(`\nCreated ${results.successful.length} orders in ShipStation`);
+    const merged = results.successful.filter(success => success.merged).length;
+    const followUps = results.successful.filter(success => !success.merged && success.followUp > 0).length;
+
+    console.log(`\nCreated ${results.successful.length} orders in ShipStation (${merged} merged into existing orders, ${followUps} follow-ups)`);
     console.log(`Failed to create ${results.failed.length} orders`);
+
+    // Park failed groups in the retry queue instead of forgetting them
+    if (results.failed.length > 0) {
+      await parkFailedOrders(account.name, withFailedOrders(results.failed, pending), jobRun);
+    }
+
+    // Held giveaways are kept for later runs; releasing one removes it from the store
+    const heldGiveawayCount = results.held.reduce((sum, group) => sum + group.orders.length, 0);
+    if (results.held.length > 0 || heldGiveaways.length > 0) {
+      await replaceHeldGiveaways(account.name, results.held, jobRun);
+    }
+    if (heldGiveawayCount > 0) {
+      console.log(`Holding ${heldGiveawayCount} giveaway orders until their buyers have a paid order in the same stream`);
+      if (progressCallback && typeof progressCallback === 'function') {
+        progressCallback({
+          phase: 'creation',
+          logOnly: true,
+          logMessage: `Holding ${heldGiveawayCount} giveaway orders until their buyers have a paid order in the same stream`
+        });
+      }
+    }
+
+    // Orders created for livestreams that are still running wait on hold until the stream finishes
+    const streamHolds = settings.openStreamAction === 'hold'
+      ? await holdOpenStreamOrders(shipstation, results.successful, open, settings)
+      : { held: new Map(), byOrderId: new Map() };
+    await settleStreamState(account, settings, streamState, { ...streamChanges, held: streamHolds.held }, jobRun);
+
+    // Only advance the cursor past pages whose orders were all created, deliberately dropped, held or parked
+    settledIds.push(
+      ...results.successful.flatMap(success => success.whatnotIds),
+      ...results.dropped.map(drop => drop.whatnotId),
+      ...results.held.flatMap(group => group.orders.map(order => order.id)),
+      ...results.failed.flatMap(failure => failure.whatnotIds)
+    );
+    const cursor = await whatnot.commitCursor(settledIds);
+
+    const dispositions = buildDispositions({
+      orders,
+      rechecked,
+      invalid,
+      pickups,
+      synced,
+      ledger,
+      creation: results,
+      deferredStreams,
+      streamHolds: streamHolds.byOrderId
+    });
+    const report = await saveDispositionReport(account, jobRun, orders, dispositions);
     
     // Report final completion
     if (progressCallback && typeof progressCallback === 'function') {
@@ -244,27 +803,277 @@ async function processAccount(account, progressCallback = null) {
       processed: orders.length,
       created: results.successful.length,
       invalid: invalid.length,
+      pickups: pickups.length,
+      addressHolds,
+      alreadySynced: synced.length,
+      nonLivestream: nonLivestream.count,
+      hydrated,
+      heldGiveaways: heldGiveawayCount,
+      deferred: deferred.length,
+      streamHolds: streamHolds.byOrderId.size,
+      merged,
+      followUps,
+      retried: retryResults.created,
+      pendingPages: cursor.pendingPages,
+      report,
+      dispositions,
       errors: results.failed
     };
   } catch (error) {
     console.error(`Error processing account ${account.name}:`, error);
+
+    // The run's report records the failure; orders fetched before it count as failed
+    let report = null;
+    try {
+      const dispositions = buildDispositions({ orders, rechecked }).map(disposition => ({
+        ...disposition,
+        disposition: 'failed',
+        reason: `Sync stopped before this order was settled: ${error.message}`
+      }));
+      report = await saveDispositionReport(account, jobRun, orders, dispositions, error.message);
+    } catch (reportError) {
+      console.error(`Error saving the report of the failed run for account ${account.name}:`, reportError);
+    }
+
     return {
       processed: 0,
       created: 0,
       invalid: 0,
+      pickups: 0,
+      addressHolds: 0,
+      alreadySynced: 0,
+      nonLivestream: 0,
+      hydrated: 0,
+      heldGiveaways: 0,
+      deferred: 0,
+      retried: 0,
+      report,
+      errors: [{ accountId: account.name, error: error.message }]
+    };
+  }
+}
+
+/**
+ * Summarize a mapped ShipStation order for display in a sync preview
+ * @param {Object} shipstationOrder - Order in ShipStation format
+ * @param {Object} orderGroup - Whatnot order group the order was mapped from
+ * @param {Object} settings - Sync settings the order was mapped with
+ * @returns {Object} Preview entry
+ */
+function summarizePreviewOrder(shipstationOrder, orderGroup, settings) {
+  return {
+    orderKey: shipstationOrder.orderKey,
+    orderNumber: shipstationOrder.orderNumber,
+    orderStatus: shipstationOrder.orderStatus,
+    holdReasons: getHoldReasons(orderGroup),
+    shippingPresets: applyShippingPresets(shipstationOrder, settings.shippingPresets).matched,
+    streamId: orderGroup.streamId,
+    channel: orderGroup.channel,
+    whatnotIds: orderGroup.orders.map(o => o.id),
+    buyer: {
+      username: shipstationOrder.customerUsername,
+      name: shipstationOrder.shipTo.name,
+      city: shipstationOrder.shipTo.city,
+      state: shipstationOrder.shipTo.state,
+      country: shipstationOrder.shipTo.country
+    },
+    items: shipstationOrder.items.map(item => ({
+      sku: item.sku,
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice
+    })),
+    // Amounts are in the store currency; set when they were converted from the currency the buyer paid in
+    convertedFrom: orderGroup.currency === settings.currency ? null : orderGroup.currency,
+    amounts: {
+      paid: shipstationOrder.amountPaid,
+      shipping: shipstationOrder.shippingAmount,
+      tax: shipstationOrder.taxAmount
+    }
+  };
+}
+
+/**
+ * Preview the ShipStation orders a sync would create for a single account.
+ * Runs fetch, validation, grouping and mapping, but never posts to ShipStation
+ * and never advances the Whatnot cursor.
+ * @param {Object} account - Account configuration
+ * @param {Function} [progressCallback] - Optional callback for reporting progress
+ * @returns {Promise<Object>} Preview of the orders that would be created
+ */
+async function previewAccount(account, progressCallback = null) {
+  console.log(`\n=== Previewing account: ${account.name} ===`);
+
+  if (!account.enabled) {
+    console.log('Account is disabled, skipping');
+    return { processed: 0, valid: 0, pickups: 0, addressHolds: 0, alreadySynced: 0, nonLivestream: 0, hydrated: 0, heldGiveaways: 0, deferred: 0, openStreams: [], invalid: [], orders: [], errors: [] };
+  }
+
+  try {
+    const whatnot = createWhatnotService(account);
+    const orders = await whatnot.getOrders({ stage: false });
+    console.log(`Fetched ${orders.length} orders from Whatnot`);
+
+    if (progressCallback && typeof progressCallback === 'function') {
+      progressCallback({
+        phase: 'fetch',
+        logOnly: true,
+        logMessage: `Preview fetched ${orders.length} orders from Whatnot`
+      });
+    }
+
+    const settings = getSyncSettings(account);
+    const heldGiveaways = await loadHeldGiveaways(account.name);
+    const streamState = await loadStreamState(account.name);
+    const heldOrders = getHeldOrders(heldGiveaways, orders);
+    const stored = await refreshStoredOrders(whatnot, [
+      ...heldOrders,
+      ...getDeferredOrders(streamState, [...orders, ...heldOrders])
+    ]);
+
+    const validator = new OrderValidator(settings);
+    const validation = await validator.validateOrders([...orders, ...stored.current]);
+    const { valid, pickups, addressHolds, ruleHits } = validation;
+    const invalid = [...validation.invalid, ...stored.missing];
+
+    const ledger = await loadLedger(account.name);
+    const { pending: unsynced, synced } = partitionByLedger(ledger, valid);
+    const { ready, open } = splitByStreamCompletion(unsynced, streamState, settings);
+    const pending = settings.openStreamAction === 'defer' ? ready : unsynced;
+
+    const { groups: orderGroups, held } = partitionOrders(pending, settings, {
+      knownOrderKeys: getLedgerOrderKeys(ledger),
+      streamSlots: getStreamSlots(streamState)
+    });
+    const sequenceNumbers = usesSequenceNumbers(settings)
+      ? await getSequenceNumbers(account.name, orderGroups.map(group => group.orderKey), { reserve: false })
+      : new Map();
+
+    const preview = [];
+    const errors = [];
+    for (const orderGroup of orderGroups) {
+      try {
+        const mappedOrder = mapWhatnotToShipStation(orderGroup, {
+          settings,
+          seq: sequenceNumbers.get(orderGroup.orderKey) ?? null
+        });
+        mappedOrder.advancedOptions.storeId = account.shipstationStoreId;
+        preview.push(summarizePreviewOrder(mappedOrder, orderGroup, settings));
+      } catch (error) {
+        errors.push({
+          whatnotIds: orderGroup.orders.map(o => o.id),
+          streamId: orderGroup.streamId,
+          error: error.message
+        });
+      }
+    }
+
+    console.log(`Preview: ${preview.length} ShipStation orders from ${pending.length} valid Whatnot orders (${synced.length} already synced)`);
+
+    return {
+      processed: orders.length,
+      valid: valid.length,
+      pickups: pickups.length,
+      addressHolds,
+      alreadySynced: synced.length,
+      nonLivestream: countNonLivestreamOrders(pending).count,
+      hydrated: whatnot.hydratedOrderIds.length,
+      heldGiveaways: held.reduce((sum, group) => sum + group.orders.length, 0),
+      deferred: settings.openStreamAction === 'defer' ? unsynced.length - ready.length : 0,
+      openStreams: Array.from(open.values(), stream => ({
+        streamId: stream.streamId,
+        orders: stream.orders.length,
+        closesAt: stream.closesAt.toISOString(),
+        action: settings.openStreamAction
+      })),
+      ruleHits,
+      invalid: invalid.map(item => ({ id: item.order.id, errors: item.errors })),
+      orders: preview,
+      errors
+    };
+  } catch (error) {
+    console.error(`Error previewing account ${account.name}:`, error);
+    return {
+      processed: 0,
+      valid: 0,
+      pickups: 0,
+      addressHolds: 0,
+      alreadySynced: 0,
+      nonLivestream: 0,
+      hydrated: 0,
+      heldGiveaways: 0,
+      deferred: 0,
+      openStreams: [],
+      invalid: [],
+      orders: [],
       errors: [{ accountId: account.name, error: error.message }]
     };
   }
 }
 
+/**
+ * Preview a sync for the given accounts
+ * @param {Array<Object>} accounts - Accounts to preview
+ * @param {Function} [progressCallback] - Optional callback for reporting progress
+ * @returns {Promise<Object>} Preview results
+ */
+async function previewSync(accounts, progressCallback = null) {
+  const results = {
+    preview: true,
+    total: {
+      processed: 0,
+      valid: 0,
+      pickups: 0,
+      addressHolds: 0,
+      alreadySynced: 0,
+      nonLivestream: 0,
+      hydrated: 0,
+      heldGiveaways: 0,
+      deferred: 0,
+      invalid: 0,
+      orders: 0,
+      errors: []
+    },
+    accounts: []
+  };
+
+  for (const account of accounts) {
+    const accountResult = await previewAccount(account, progressCallback);
+
+    results.total.processed += accountResult.processed;
+    results.total.valid += accountResult.valid;
+    results.total.pickups += accountResult.pickups;
+    results.total.addressHolds += accountResult.addressHolds;
+    results.total.alreadySynced += accountResult.alreadySynced;
+    results.total.nonLivestream += accountResult.nonLivestream;
+    results.total.hydrated += accountResult.hydrated;
+    results.total.heldGiveaways += accountResult.heldGiveaways;
+    results.total.deferred += accountResult.deferred;
+    results.total.invalid += accountResult.invalid.length;
+    results.total.orders += accountResult.orders.length;
+    results.total.errors = results.total.errors.concat(accountResult.errors);
+
+    results.accounts.push({
+      name: account.name,
+      ...accountResult
+    });
+  }
+
+  console.log(`\n=== Preview Complete: ${results.total.orders} ShipStation orders would be created ===`);
+  return results;
+}
+
 /**
  * Main function to run the sync
  * @param {Array<Object>} accountsToProcess - Optional array of accounts to process (default: all enabled accounts)
  * @param {Function} progressCallback - Optional callback for reporting progress
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.preview=false] - Build the ShipStation orders without creating them or advancing cursors
  * @returns {Promise<Object>} Results of the sync operation
  */
-export async function syncOrders(accountsToProcess = null, progressCallback = null) {
-  console.log('=== Starting Whatnot to ShipStation order sync ===');
+export async function syncOrders(accountsToProcess = null, progressCallback = null, options = {}) {
+  const { preview = false } = options;
+  console.log(`=== Starting Whatnot to ShipStation order ${preview ? 'sync preview' : 'sync'} ===`);
   console.log(`Time: ${new Date().toISOString()}`);
   
   try {
@@ -275,12 +1084,34 @@ export async function syncOrders(accountsToProcess = null, progressCallback = nu
       accounts = accounts.filter(acc => acc.enabled);
     }
     console.log(`Loaded ${accounts.length} accounts`);
+
+    // Refuse to run with invalid settings or templates rather than create misnamed orders
+    const settingsErrors = validateAccountSettings(accounts);
+    if (settingsErrors.length > 0) {
+      throw new Error(`Invalid account settings: ${settingsErrors.map(({ error }) => error).join('; ')}`);
+    }
+
+    if (preview) {
+      return await previewSync(accounts, progressCallback);
+    }
     
+    // Identifies this run in the order ledger
+    const jobRun = new Date().toISOString().replace(/[:.]/g, '-');
+
     const results = {
+      jobRun,
       total: {
         processed: 0,
         created: 0,
         invalid: 0,
+        pickups: 0,
+        addressHolds: 0,
+        alreadySynced: 0,
+        nonLivestream: 0,
+        hydrated: 0,
+        heldGiveaways: 0,
+        deferred: 0,
+        retried: 0,
         errors: []
       },
       accounts: []
@@ -289,12 +1120,20 @@ export async function syncOrders(accountsToProcess = null, progressCallback = nu
     // Process each account
     for (const account of accounts) {
       // Pass the progress callback to processAccount so it can report intermediate progress
-      const accountResult = await processAccount(account, progressCallback);
+      const accountResult = await processAccount(account, progressCallback, jobRun);
       
       // Add to totals
       results.total.processed += accountResult.processed;
       results.total.created += accountResult.created;
       results.total.invalid += accountResult.invalid;
+      results.total.pickups += accountResult.pickups;
+      results.total.addressHolds += accountResult.addressHolds;
+      results.total.alreadySynced += accountResult.alreadySynced;
+      results.total.nonLivestream += accountResult.nonLivestream;
+      results.total.hydrated += accountResult.hydrated;
+      results.total.heldGiveaways += accountResult.heldGiveaways;
+      results.total.deferred += accountResult.deferred;
+      results.total.retried += accountResult.retried;
       results.total.errors = results.total.errors.concat(accountResult.errors);
       
       // Save account result
@@ -319,7 +1158,20 @@ export async function syncOrders(accountsToProcess = null, progressCallback = nu
     console.log(`Total orders processed: ${results.total.processed}`);
     console.log(`Total orders created in ShipStation: ${results.total.created}`);
     console.log(`Total invalid orders: ${results.total.invalid}`);
+    console.log(`Total orders added to pickup lists: ${results.total.pickups}`);
+    console.log(`Total orders held for address review: ${results.total.addressHolds}`);
+    console.log(`Total orders already synced: ${results.total.alreadySynced}`);
+    console.log(`Total orders sold outside a livestream: ${results.total.nonLivestream}`);
+    console.log(`Total orders with item lists fetched in full: ${results.total.hydrated}`);
+    console.log(`Total giveaway orders held: ${results.total.heldGiveaways}`);
+    console.log(`Total orders deferred until their livestream finishes: ${results.total.deferred}`);
+    console.log(`Total failed orders retried successfully: ${results.total.retried}`);
     console.log(`Total errors: ${results.total.errors.length}`);
+
+    for (const accountResult of results.accounts.filter(result => result.report)) {
+      const counts = Object.entries(accountResult.report.counts).map(([disposition, count]) => `${count} ${disposition}`);
+      console.log(`Disposition report for ${accountResult.name}: ${counts.join(', ')}`);
+    }
     
     if (results.total.errors.length > 0) {
       console.log('\nErrors summary:');
@@ -344,8 +1196,15 @@ export async function syncOrders(accountsToProcess = null, progressCallback = nu
 
 // Run the sync if called directly
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  syncOrders().catch(error => {
-    console.error('Fatal error in sync process:', error);
-    process.exit(1);
-  });
+  const preview = process.argv.includes('--preview');
+  syncOrders(null, null, { preview })
+    .then(results => {
+      if (preview) {
+        console.log(JSON.stringify(results.accounts, null, 2));
+      }
+    })
+    .catch(error => {
+      console.error('Fatal error in sync process:', error);
+      process.exit(1);
+    });
 }
\ No newline at end of file
@@ -1,29 +1,10 @@
-import ShipStationService from '../services/shipstation.js';
-import WhatnotService from '../services/whatnot.js';
+import { createShipStationService } from '../services/shipstation.js';
+import { createWhatnotService } from '../services/whatnot.js';
 import OrderValidator from '../utils/validation.js';
-import { readFile } from 'fs/promises';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { loadAccounts } from '../utils/accounts.js';
+import { testAccountConnection } from '../utils/integration-checks.js';
 import 'dotenv/config';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-/**
- * Load account configuration from accounts.json
- */
-async function loadAccounts() {
-  try {
-    const accountsPath = join(__dirname, '../accounts.json');
-    const data = await readFile(accountsPath, 'utf-8');
-    return JSON.parse(data).accounts;
-  } catch (error) {
-    console.error('Error loading accounts:', error);
-    throw error;
-  }
-}
-
 /**
  * Get today's date in YYYY-MM-DD format
  */
@@ -32,6 +13,25 @@ function getTodayDate() {
   return today.toISOString().split('T')[0];
 }
 
+/**
+ * Check the account's configuration, Whatnot and ShipStation access and rate-limit
+ * headroom before the slower tests, so a misconfiguration is reported plainly
+ */
+async function testSetup(account) {
+  console.log('\n----- CHECKING ACCOUNT SETUP -----');
+
+  const { ok, checks } = await testAccountConnection(account);
+  for (const { ok: passed, message, hint } of checks) {
+    console.log(`${passed ? 'OK  ' : 'FAIL'} ${message}`);
+    if (hint) {
+      console.log(`     ${hint}`);
+    }
+  }
+  if (!ok) {
+    throw new Error(`Account ${account.name} is misconfigured`);
+  }
+}
+
 /**
  * Test the ShipStation integration by fetching today's shipments
  */
@@ -39,7 +39,7 @@ async function testShipStation(account) {
   console.log('\n----- TESTING SHIPSTATION INTEGRATION -----');
   
   try {
-    const shipstation = new ShipStationService();
+    const shipstation = createShipStationService(account);
     const today = getTodayDate();
     
     console.log(`Fetching shipments for ${account.name} (Store ID: ${account.shipstationStoreId}) from ${today}`);
@@ -77,8 +77,8 @@ async function testWhatnot(account) {
     
     console.log(`Fetching Whatnot orders for ${account.name} from ${startAt}`);
     
-    const whatnot = new WhatnotService(account.name, account.whatnotToken, startAt);
-    const orders = await whatnot.getOrders();
+    const whatnot = createWhatnotService(account, startAt);
+    const orders = await whatnot.getOrders({ stage: false });
     
     console.log(`Found ${orders.length} Whatnot orders`);
     
@@ -149,6 +149,9 @@ async function runTests() {
     
     console.log(`Using account: ${testAccount.name}`);
     
+    // Check the account setup
+    await testSetup(testAccount);
+    
     // Test ShipStation integration
     const shipments = await testShipStation(testAccount);
     
@@ -1,29 +1,10 @@
-import ShipStationService from '../services/shipstation.js';
-import WhatnotService from '../services/whatnot.js';
+import { createShipStationService } from '../services/shipstation.js';
+import { createWhatnotService } from '../services/whatnot.js';
 import { loadTrackingState, saveTrackingState } from '../utils/tracking-state.js';
-import { readFile } from 'fs/promises';
-import { join } from 'path';
+import { loadAccounts } from '../utils/accounts.js';
 import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import 'dotenv/config';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-/**
- * Load account configuration from accounts.json
- */
-async function loadAccounts() {
-  try {
-    const accountsPath = join(__dirname, '../accounts.json');
-    const data = await readFile(accountsPath, 'utf-8');
-    return JSON.parse(data).accounts;
-  } catch (error) {
-    console.error('Error loading accounts:', error);
-    throw error;
-  }
-}
-
 /**
  * Convert ShipStation carrier code to Whatnot courier format
  * @param {string} carrierCode - ShipStation carrier code 
@@ -64,8 +45,8 @@ async function processAccount(account, progressCallback = null) {
 
   try {
     // Initialize services
-    const shipstation = new ShipStationService();
-    const whatnot = new WhatnotService(account.name, account.whatnotToken);
+    const shipstation = createShipStationService(account);
+    const whatnot = createWhatnotService(account);
 
     // Get last sync time for this account's store
     const lastSyncTime = await shipstation.getLastSyncTime(account.shipstationStoreId);
@@ -1,11 +1,26 @@
 import axios from 'axios';
 import rateLimit from 'axios-rate-limit';
 import { loadSyncTime, saveSyncTime } from '../utils/sync-management.js';
-import { groupOrders } from '../utils/order-grouping.js';
-import { mapWhatnotToShipStation } from '../utils/mapping.js';
+import { partitionOrders } from '../utils/order-grouping.js';
+import {
+  mapWhatnotToShipStation,
+  mergeShipStationOrders,
+  toFollowUpOrder,
+  getWhatnotOrderIds,
+  getHoldReasons
+} from '../utils/mapping.js';
+import { recordLedgerEntries } from '../utils/order-ledger.js';
+import { getSequenceNumbers } from '../utils/order-sequence.js';
+import { usesSequenceNumbers, getShipStationCredentials } from '../utils/account-settings.js';
+import { getTagNames } from '../utils/order-tags.js';
+import { applyShippingPresets } from '../utils/shipping-presets.js';
 
 import { formatInTimeZone, fromZonedTime } from 'date-fns-tz';
 
+// Order statuses that have not shipped yet, so late-arriving items can still be merged in
+const MERGEABLE_STATUSES = ['awaiting_payment', 'awaiting_shipment', 'on_hold'];
+const MAX_FOLLOW_UPS = 20;
+
 /**
  * ShipStation API service
  */
@@ -38,10 +53,19 @@ class ShipStationService {
       maxRPS: 0.66
     });
 
+    // Rate limit reported by the latest response, see recordRateLimit
+    this.rateLimit = null;
+
     // Add response interceptor for error handling
     this.client.interceptors.response.use(
-      response => response,
+      response => {
+        this.recordRateLimit(response.headers);
+        return response;
+      },
       async error => {
+        if (error.response) {
+          this.recordRateLimit(error.response.headers);
+        }
         if (error.response?.status === 401) {
           throw new Error('Invalid ShipStation API credentials');
         }
@@ -54,6 +78,25 @@ class ShipStationService {
     );
   }
 
+  /**
+   * Remember the rate limit ShipStation reports in its response headers. The limit is
+   * per API key, so requests from other apps using the same key count against it too.
+   * @param {Object} headers - Response headers
+   */
+  recordRateLimit(headers = {}) {
+    const limit = parseInt(headers['x-rate-limit-limit'], 10);
+    const remaining = parseInt(headers['x-rate-limit-remaining'], 10);
+    if (Number.isNaN(limit) || Number.isNaN(remaining)) {
+      return;
+    }
+    this.rateLimit = {
+      limit,
+      remaining,
+      resetSeconds: parseInt(headers['x-rate-limit-reset'], 10) || 0,
+      observedAt: new Date().toISOString()
+    };
+  }
+
   async executeRequest(operation) {
     let retries = 0;
 
@@ -73,15 +116,223 @@ class ShipStationService {
     }
   }
 
+  /**
+   * Get a single ShipStation order
+   * @param {string|number} orderId - ShipStation order ID
+   * @returns {Promise<Object>} The order
+   */
+  async getOrder(orderId) {
+    const response = await this.executeRequest(() =>
+      this.client.get(`/orders/${orderId}`)
+    );
+    return response.data;
+  }
+
+  /**
+   * Create or update an order in ShipStation. Orders with an existing orderKey are updated.
+   * @param {Object} order - Order in ShipStation format
+   * @returns {Promise<Object>} The saved order
+   */
+  async saveOrder(order) {
+    const response = await this.executeRequest(() =>
+      this.client.post('/orders/createorder', order)
+    );
+    return response.data;
+  }
+
+  /**
+   * Put an order on hold until a given date
+   * @param {string|number} orderId - ShipStation order ID
+   * @param {string} holdUntilDate - Date to hold the order until (YYYY-MM-DD)
+   * @returns {Promise<Object>} ShipStation response
+   */
+  async holdOrder(orderId, holdUntilDate) {
+    const response = await this.executeRequest(() =>
+      this.client.post('/orders/holduntil', { orderId, holdUntilDate })
+    );
+    return response.data;
+  }
+
+  /**
+   * Release an order from hold, back to awaiting shipment
+   * @param {string|number} orderId - ShipStation order ID
+   * @returns {Promise<Object>} ShipStation response
+   */
+  async restoreFromHold(orderId) {
+    const response = await this.executeRequest(() =>
+      this.client.post('/orders/restorefromhold', { orderId })
+    );
+    return response.data;
+  }
+
+  /**
+   * Add a tag to an order
+   * @param {string|number} orderId - ShipStation order ID
+   * @param {number} tagId - ShipStation tag ID
+   * @returns {Promise<Object>} ShipStation response
+   */
+  async addTag(orderId, tagId) {
+    const response = await this.executeRequest(() =>
+      this.client.post('/orders/addtag', { orderId, tagId })
+    );
+    return response.data;
+  }
+
+  /**
+   * List the stores of the ShipStation account
+   * @param {boolean} [showInactive=false] - Include deactivated stores
+   * @returns {Promise<Array<{storeId: number, storeName: string, marketplaceName: string, active: boolean}>>} Stores
+   */
+  async listStores(showInactive = false) {
+    const response = await this.executeRequest(() =>
+      this.client.get(`/stores?showInactive=${showInactive}`)
+    );
+    return response.data;
+  }
+
+  /**
+   * List the tags defined in the ShipStation account
+   * @returns {Promise<Array<{tagId: number, name: string, color: string}>>} Tags
+   */
+  async listTags() {
+    const response = await this.executeRequest(() =>
+      this.client.get('/accounts/listtags')
+    );
+    return response.data;
+  }
+
+  /**
+   * Look up tag IDs by tag name, ignoring case. Tags are listed once per service and
+   * listed again the first time a name is not found, in case the tag was added since.
+   * @param {Array<string>} names - Tag names
+   * @returns {Promise<Map<string, number>>} Tag IDs by name; names without a tag are left out
+   */
+  async resolveTagIds(names) {
+    this.missingTagNames = this.missingTagNames || new Set();
+    const findMissing = () => names.filter(name => !this.tagIdsByName?.has(name.toLowerCase()));
+    if (!this.tagIdsByName || findMissing().some(name => !this.missingTagNames.has(name.toLowerCase()))) {
+      const tags = await this.listTags();
+      this.tagIdsByName = new Map(tags.map(tag => [tag.name.toLowerCase(), tag.tagId]));
+    }
+
+    for (const name of findMissing().filter(name => !this.missingTagNames.has(name.toLowerCase()))) {
+      this.missingTagNames.add(name.toLowerCase());
+      console.error(`ShipStation tag "${name}" does not exist; add it in ShipStation to tag orders with it`);
+    }
+    return new Map(names
+      .filter(name => this.tagIdsByName.has(name.toLowerCase()))
+      .map(name => [name, this.tagIdsByName.get(name.toLowerCase())]));
+  }
+
+  /**
+   * Find an order in ShipStation by its orderKey. ShipStation can only search by
+   * order number, so the order number the key was mapped to is searched first and
+   * the key itself second (orders created before an orderNumber template was set).
+   * @param {string} orderKey - Order key the order was created with
+   * @param {string|number} storeId - ShipStation store ID
+   * @param {string} [orderNumber] - Order number the order was created with (default: the orderKey)
+   * @returns {Promise<Object|null>} The order, or null if none exists
+   */
+  async getOrderByKey(orderKey, storeId, orderNumber = orderKey) {
+    const orderNumbers = orderNumber === orderKey ? [orderKey] : [orderNumber, orderKey];
+
+    for (const number of orderNumbers) {
+      const params = new URLSearchParams({
+        orderNumber: number,
+        storeId: storeId.toString(),
+        pageSize: '500'
+      });
+
+      const response = await this.executeRequest(() =>
+        this.client.get(`/orders?${params.toString()}`)
+      );
+
+      const order = response.data.orders?.find(order => order.orderKey === orderKey);
+      if (order) {
+        return order;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Work out how an order group should be written to ShipStation. If an order with the
+   * same key exists and has not shipped, the group is merged into it; if it has shipped,
+   * the group goes to the first follow-up order (orderKey suffixed -FU1, -FU2, ...) that
+   * has not shipped either. Whatnot orders already in ShipStation are never added twice.
+   * @param {Object} orderGroup - Group of Whatnot orders
+   * @param {Object} mappedOrder - The group mapped with mapWhatnotToShipStation
+   * @param {string|number} storeId - ShipStation store ID
+   * @param {Object} [mapOptions] - Options the group was mapped with, reused when re-mapping
+   * @returns {Promise<Object>} `order` to post (null if nothing is new), `existingOrder`, `merged`, `followUp`
+   *   and `newIds` (the Whatnot orders not yet in ShipStation)
+   */
+  async resolveUpsert(orderGroup, mappedOrder, storeId, mapOptions = {}) {
+    let remainingOrders = orderGroup.orders;
+
+    for (let followUp = 0; followUp <= MAX_FOLLOW_UPS; followUp++) {
+      const { orderKey, orderNumber } = followUp === 0 ? mappedOrder : toFollowUpOrder(mappedOrder, followUp);
+      const existingOrder = await this.getOrderByKey(orderKey, storeId, orderNumber);
+
+      if (existingOrder) {
+        const existingIds = getWhatnotOrderIds(existingOrder);
+        remainingOrders = remainingOrders.filter(order => !existingIds.includes(order.id));
+        if (remainingOrders.length === 0) {
+          return { order: null, existingOrder, merged: false, followUp, newIds: [] };
+        }
+      }
+
+      // Only the Whatnot orders not yet in ShipStation are written
+      let order = remainingOrders === orderGroup.orders
+        ? mappedOrder
+        : mapWhatnotToShipStation({ ...orderGroup, orders: remainingOrders }, mapOptions);
+      order.advancedOptions.storeId = storeId;
+      if (followUp > 0) {
+        order = toFollowUpOrder(order, followUp);
+      }
+
+      if (!existingOrder) {
+        return { order, existingOrder: null, merged: false, followUp, newIds: remainingOrders.map(o => o.id) };
+      }
+      if (MERGEABLE_STATUSES.includes(existingOrder.orderStatus)) {
+        return {
+          // The combined order has more items and a higher value, so presets are chosen again,
+          // but only for fields still empty: the packer may already have weighed or boxed the order
+          order: applyShippingPresets(
+            mergeShipStationOrders(existingOrder, order, mapOptions.settings?.currency),
+            mapOptions.settings?.shippingPresets,
+            { fillUnset: true }
+          ).order,
+          existingOrder,
+          merged: true,
+          followUp,
+          newIds: remainingOrders.map(o => o.id)
+        };
+      }
+    }
+
+    throw new Error(`Order ${mappedOrder.orderKey} already has ${MAX_FOLLOW_UPS} shipped follow-up orders`);
+  }
+
   /**
    * Create orders in ShipStation from Whatnot orders
    * @param {Array} whatnotOrders - Array of Whatnot orders
-   * @param {string} whatnotToken - Whatnot API token
    * @param {string|number} storeId - ShipStation store ID
    * @param {Function} [progressCallback] - Optional callback for reporting progress
+   * @param {Object} [options] - Creation options
+   * @param {string} [options.accountId] - Account to record created orders under in the order ledger
+   * @param {string} [options.jobRun] - Identifier of the sync run, stored with each ledger entry
+   * @param {Object} [options.settings] - Account sync settings from getSyncSettings (grouping strategy and templates)
+   * @param {Set<string>} [options.knownOrderKeys] - Order keys already in ShipStation, which release held giveaways
+   * @param {Map<string, Object>} [options.streamSlots] - Order key slots of livestreams seen in earlier runs, from getStreamSlots
+   * @param {Set<string>} [options.knownBuyers] - Lowercased usernames of buyers with earlier orders, for first-time buyer tags
    * @returns {Object} Results of order creation
    */
-  async createOrders(whatnotOrders, whatnotToken, storeId, progressCallback = null) {
+  async createOrders(whatnotOrders, storeId, progressCallback = null, options = {}) {
+    const { accountId = null, jobRun = null, settings = {}, knownOrderKeys = new Set(), streamSlots = new Map() } = options;
+    const knownBuyers = new Set(options.knownBuyers);
+    const tagRules = settings.tagRules || [];
     if (!Array.isArray(whatnotOrders) || whatnotOrders.length === 0) {
       throw new Error('whatnotOrders must be a non-empty array');
     }
@@ -91,12 +342,22 @@ class ShipStationService {
 
     const results = {
       successful: [],
-      failed: []
+      failed: [],
+      dropped: [],
+      held: []
     };
 
-    const groupedOrders = groupOrders(whatnotOrders);
+    // Orders grouping leaves out are never created, and held giveaways wait for a later run
+    const { groups: groupedOrders, dropped, held } = partitionOrders(whatnotOrders, settings, { knownOrderKeys, streamSlots });
+    results.dropped = dropped.map(({ order, reason }) => ({ whatnotId: order.id, reason }));
+    results.held = held;
     const groupedCount = groupedOrders.length;
     console.log(`Grouped ${whatnotOrders.length} orders into ${groupedCount} combined orders`);
+
+    // Number the groups only when a template shows the number
+    const sequenceNumbers = accountId && usesSequenceNumbers(settings)
+      ? await getSequenceNumbers(accountId, groupedOrders.map(group => group.orderKey))
+      : new Map();
   
     // Initial call to progressCallback with the actual grouped count
     if (progressCallback && typeof progressCallback === 'function') {
@@ -111,18 +372,86 @@ class ShipStationService {
     for (let i = 0; i < groupedOrders.length; i++) {
       const orderGroup = groupedOrders[i];
       try {
-        const mappedOrder = mapWhatnotToShipStation(orderGroup);
+        const mapOptions = { settings, seq: sequenceNumbers.get(orderGroup.orderKey) ?? null };
+        const mappedOrder = mapWhatnotToShipStation(orderGroup, mapOptions);
         mappedOrder.advancedOptions.storeId = storeId;
 
-        const response = await this.executeRequest(() =>
-          this.client.post('/orders/createorder', mappedOrder)
-        );
-        console.log(`Created order ${response.data.orderNumber} for stream ${orderGroup.streamId}`);
+        // Merge into an existing order with the same key instead of replacing its items
+        const upsert = await this.resolveUpsert(orderGroup, mappedOrder, storeId, mapOptions);
+        let shipstationOrder = upsert.existingOrder;
+
+        if (upsert.order) {
+          shipstationOrder = await this.saveOrder(upsert.order);
+
+          if (upsert.merged) {
+            console.log(`Merged ${orderGroup.orders.length} orders into existing order ${shipstationOrder.orderNumber} for stream ${orderGroup.streamId}`);
+          } else if (upsert.followUp > 0) {
+            console.log(`Created follow-up order ${shipstationOrder.orderNumber} for stream ${orderGroup.streamId} (earlier order already shipped)`);
+          } else {
+            console.log(`Created order ${shipstationOrder.orderNumber} for stream ${orderGroup.streamId}`);
+          }
+        } else {
+          console.log(`Orders for ${mappedOrder.orderKey} are already in ShipStation order ${shipstationOrder.orderNumber}`);
+        }
+
+        const holdReasons = getHoldReasons(orderGroup);
+        if (upsert.order && holdReasons.length > 0) {
+          console.log(`Order ${shipstationOrder.orderNumber} is on hold: ${holdReasons.join('; ')}`);
+        }
+
+        // The order is saved either way; a missing tag is only logged
+        const tagNames = upsert.order
+          ? getTagNames(tagRules, { orderGroup, shipstationOrder, merged: upsert.merged, knownBuyers })
+          : [];
+        knownBuyers.add(orderGroup.orders[0].customer.username.toLowerCase());
+        let namedTags = new Map();
+        if (tagNames.length > 0) {
+          try {
+            namedTags = await this.resolveTagIds(tagNames);
+          } catch (error) {
+            console.error(`Error listing ShipStation tags for order ${shipstationOrder.orderNumber}:`, error.response?.data || error.message);
+          }
+        }
+        // Names differing only in case share a tag, which is added once
+        const tagged = new Set();
+        for (const [name, tagId] of namedTags) {
+          if (tagged.has(tagId)) {
+            continue;
+          }
+          tagged.add(tagId);
+          try {
+            await this.addTag(shipstationOrder.orderId, tagId);
+          } catch (error) {
+            console.error(`Error adding tag "${name}" to order ${shipstationOrder.orderNumber}:`, error.response?.data || error.message);
+          }
+        }
+
+        // Record immediately so a crash later in the run cannot lead to duplicates
+        if (accountId) {
+          await recordLedgerEntries(accountId, orderGroup.orders.map(order => ({
+            whatnotOrderId: order.id,
+            shipstationOrderId: shipstationOrder.orderId,
+            orderNumber: shipstationOrder.orderNumber,
+            orderKey: shipstationOrder.orderKey,
+            streamId: orderGroup.streamId,
+            customerUsername: order.customer.username,
+            jobRun
+          })));
+        }
+
         results.successful.push({
           whatnotIds: orderGroup.orders.map(o => o.id),
-          shipstationId: response.data.orderId,
-          orderNumber: response.data.orderNumber,
-          streamId: orderGroup.streamId
+          // Orders already in the ShipStation order before this run
+          presentIds: orderGroup.orders.map(o => o.id).filter(id => !upsert.newIds.includes(id)),
+          shipstationId: shipstationOrder.orderId,
+          orderNumber: shipstationOrder.orderNumber,
+          orderKey: shipstationOrder.orderKey,
+          streamId: orderGroup.streamId,
+          merged: upsert.merged,
+          followUp: upsert.followUp,
+          alreadyPresent: !upsert.order,
+          orderStatus: shipstationOrder.orderStatus,
+          holdReasons
         });
         
         // Call progress callback if provided
@@ -380,4 +709,15 @@ class ShipStationService {
   }
 }
 
-export default ShipStationService;
\ No newline at end of file
+/**
+ * Create a ShipStation service for an account, using the account's own ShipStation
+ * credentials when it has them
+ * @param {Object} account - Account configuration
+ * @param {Object} [config] - Other service options, such as maxRetries
+ * @returns {ShipStationService} Service for the account's ShipStation account
+ */
+export function createShipStationService(account, config = {}) {
+  return new ShipStationService({ ...config, ...getShipStationCredentials(account) });
+}
+
+export default ShipStationService;
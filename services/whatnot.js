@@ -1,7 +1,8 @@
-import { GET_ORDERS, GET_ORDER_ITEMS } from '../graphql/orders.js';
+import { GET_ORDERS, GET_ORDER, GET_ORDER_ITEMS, GET_ORDER_STATUS } from '../graphql/orders.js';
 import { ADD_TRACKING_CODE } from '../graphql/tracking.js';
 import { loadCursor, saveCursor } from '../utils/cursor-management.js';
 import { createWhatnotClient, executeQuery } from '../utils/graphql-client.js';
+import { getWhatnotToken } from '../utils/accounts.js';
 
 class WhatnotService {
     constructor(accountId, token, startAt = null) {
@@ -16,6 +17,8 @@ class WhatnotService {
         this.accountId = accountId;
         this.startAt = startAt;
         this.client = createWhatnotClient(token);
+        this.stagedPages = [];
+        this.hydratedOrderIds = [];
 
         // Only check for WHATNOT_INITIAL_SYNC_DATE if startAt is not provided
         if (!this.startAt) {
@@ -39,12 +42,13 @@ class WhatnotService {
     /**
      * Fetch all items for a specific order
      * @param {string} orderId - ID of the order
+     * @param {string} [after] - Item cursor to continue from (default: the first item)
      * @returns {Promise<Array>} Array of order items
      */
-    async getAllOrderItems(orderId) {
+    async getAllOrderItems(orderId, after = null) {
         const items = [];
         let hasNextPage = true;
-        let afterCursor = null;
+        let afterCursor = after;
         const ITEMS_BATCH_SIZE = 50;
 
         try {
@@ -75,10 +79,57 @@ class WhatnotService {
     }
 
     /**
-     * Fetch orders from Whatnot API with pagination
+     * Fetch the current status of a single order
+     * @param {string} orderId - ID of the order
+     * @returns {Promise<Object|null>} Order with status, cancelledAt and amounts, or null if not found
+     */
+    async getOrderStatus(orderId) {
+        const data = await this.executeQuery(GET_ORDER_STATUS, { orderId });
+        return data.order;
+    }
+
+    /**
+     * Fetch the current state of a single order, with its full item list
+     * @param {string} orderId - ID of the order
+     * @returns {Promise<Object|null>} Order as returned by getOrders, or null if not found
+     */
+    async getOrder(orderId) {
+        const data = await this.executeQuery(GET_ORDER, { orderId });
+        const order = data.order || null;
+        if (order?.items?.pageInfo?.hasNextPage) {
+            await this.hydrateOrderItems(order);
+        }
+        return order;
+    }
+
+    /**
+     * Complete an order's item list when GET_ORDERS returned only its first page of items
+     * @param {Object} order - Order with a truncated items connection
+     * @returns {Promise<void>}
+     */
+    async hydrateOrderItems(order) {
+        const { edges, pageInfo } = order.items;
+        const remainingItems = await this.getAllOrderItems(order.id, pageInfo.endCursor);
+
+        order.items = {
+            edges: [...edges, ...remainingItems.map(node => ({ node }))],
+            pageInfo: { hasNextPage: false, endCursor: null }
+        };
+        this.hydratedOrderIds.push(order.id);
+        console.log(`Hydrated order ${order.id}: ${order.items.edges.length} items`);
+    }
+
+    /**
+     * Fetch orders from Whatnot API with pagination.
+     * Orders with more items than fit in GET_ORDERS get their full item list fetched;
+     * their IDs are kept in hydratedOrderIds.
+     * Fetched pages are only staged; call commitCursor once their orders are settled.
+     * @param {Object} [options] - Fetch options
+     * @param {boolean} [options.stage=true] - Stage the fetched pages for commitCursor; read-only
+     *   callers such as previews pass false, so the cursor cannot move
      * @returns {Promise<Array>} Array of orders
      */
-    async getOrders() {
+    async getOrders({ stage = true } = {}) {
         const BATCH_SIZE = 50;
         let cursor = await loadCursor(this.accountId);
 
@@ -92,6 +143,8 @@ class WhatnotService {
         const orders = [];
         let hasNextPage = true;
         let afterCursor = cursor;
+        this.stagedPages = [];
+        this.hydratedOrderIds = [];
 
         try {
             while (hasNextPage) {
@@ -115,13 +168,23 @@ class WhatnotService {
                     break;
                 }
 
-                orders.push(...edges.map(edge => edge.node));
+                const pageOrders = edges.map(edge => edge.node);
+                for (const order of pageOrders.filter(order => order.items?.pageInfo?.hasNextPage)) {
+                    await this.hydrateOrderItems(order);
+                }
+
+                orders.push(...pageOrders);
                 console.log(`Fetched ${edges.length} orders. Total orders: ${orders.length}`);
 
                 hasNextPage = pageInfo.hasNextPage;
                 afterCursor = pageInfo.endCursor;
 
-                await saveCursor(this.accountId, afterCursor);
+                if (stage) {
+                    this.stagedPages.push({
+                        endCursor: afterCursor,
+                        orderIds: edges.map(edge => edge.node.id)
+                    });
+                }
 
                 if (hasNextPage) {
                     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -135,6 +198,37 @@ class WhatnotService {
         return orders;
     }
 
+    /**
+     * Commit the pagination cursor past every staged page whose orders are all settled.
+     * Pages are committed in order, so the cursor stops at the first page that still
+     * has an unsettled order and those orders are fetched again on the next run.
+     * @param {Iterable<string>} settledOrderIds - IDs of orders that were created, deliberately rejected or parked
+     * @returns {Promise<Object>} Number of committed pages and pages still pending
+     */
+    async commitCursor(settledOrderIds) {
+        const settled = new Set(settledOrderIds);
+        let committedPages = 0;
+
+        for (const page of this.stagedPages) {
+            if (!page.orderIds.every(id => settled.has(id))) {
+                break;
+            }
+            committedPages++;
+        }
+
+        if (committedPages > 0) {
+            await saveCursor(this.accountId, this.stagedPages[committedPages - 1].endCursor);
+        }
+
+        this.stagedPages = this.stagedPages.slice(committedPages);
+
+        if (this.stagedPages.length > 0) {
+            console.log(`Cursor held back for account ${this.accountId}: ${this.stagedPages.length} fetched pages still have unsettled orders`);
+        }
+
+        return { committedPages, pendingPages: this.stagedPages.length };
+    }
+
     /**
      * Add tracking code to order(s)
      * @param {Array<string>} orderIds - Array of order IDs
@@ -231,4 +325,14 @@ class WhatnotService {
     }
 }
 
+/**
+ * Create a Whatnot service for an account, decrypting its stored token
+ * @param {Object} account - Account configuration
+ * @param {string} [startAt] - Fetch orders created after this time instead of from the cursor
+ * @returns {WhatnotService} Service for the account's Whatnot seller account
+ */
+export function createWhatnotService(account, startAt = null) {
+    return new WhatnotService(account.name, getWhatnotToken(account), startAt);
+}
+
 export default WhatnotService;
\ No newline at end of file
@@ -0,0 +1,205 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { partitionOrders } from '../utils/order-grouping.js';
+import { recordStreamSlots, getStreamSlots } from '../utils/stream-state.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Stream state is written to the real stream_state folder, under an account no real setup uses
+const ACCOUNT_ID = `test-grouping-${process.pid}`;
+
+after(async () => {
+  await rm(join(__dirname, '../stream_state', `${ACCOUNT_ID}.json`), { force: true });
+});
+
+const settings = { streamTimezone: 'UTC', currency: 'USD', currencyRates: { CAD: 0.73 } };
+
+/**
+ * Build a Whatnot order with the fields grouping reads: buyer, time, sales channel,
+ * shipping address and the currency of its total
+ * @param {string} id - Whatnot order ID
+ * @param {string} createdAt - Order time
+ * @param {Object} [options] - Buyer, livestream reference (null for a marketplace sale), currency and other fields
+ * @returns {Object} Whatnot order
+ */
+function order(id, createdAt, { username = 'bob', stream = 'ls1', currency = 'USD', ...fields } = {}) {
+  return {
+    id,
+    createdAt,
+    cancelledAt: null,
+    isGiveaway: false,
+    customer: { username },
+    salesChannel: stream ? { type: 'LIVESTREAM', reference: stream } : { type: 'MARKETPLACE', reference: null },
+    shippingAddress: { line1: '12 Oak Street', line2: null, city: 'Austin', state: 'TX', postalCode: '78701', countryCode: 'US' },
+    total: { amount: 1500, currencyCode: currency },
+    ...fields
+  };
+}
+
+const keysOf = groups => groups.map(group => group.orderKey);
+const idsOf = groups => groups.map(group => group.orders.map(o => o.id));
+
+test('stream strategy groups each buyer per stream slot', () => {
+  const orders = [
+    order('a1', '2026-10-01T19:05:00Z', { username: 'alice' }),
+    order('b1', '2026-10-01T19:20:00Z'),
+    order('a2', '2026-10-01T19:45:00Z', { username: 'alice' })
+  ];
+
+  const { groups, dropped, held } = partitionOrders(orders, settings);
+
+  assert.deepEqual(keysOf(groups), ['wn-261001-07p-alice_', 'wn-261001-07p-bob_']);
+  assert.deepEqual(idsOf(groups), [['a1', 'a2'], ['b1']]);
+  assert.deepEqual(dropped, []);
+  assert.deepEqual(held, []);
+});
+
+test('stream slot comes from the first order of the stream, in the stream timezone', () => {
+  const orders = [
+    order('b1', '2026-10-02T00:30:00Z'),
+    order('b2', '2026-10-02T02:10:00Z')
+  ];
+
+  const { groups } = partitionOrders(orders, { ...settings, streamTimezone: 'America/Chicago' });
+
+  assert.deepEqual(keysOf(groups), ['wn-261001-07p-bob_']);
+  assert.deepEqual(idsOf(groups), [['b1', 'b2']]);
+});
+
+test('later batches from a livestream keep the slot of the first batch', async () => {
+  const firstBatch = [order('b1', '2026-10-01T23:10:00Z')];
+  const secondBatch = [order('b2', '2026-10-02T00:40:00Z'), order('c1', '2026-10-02T00:45:00Z', { username: 'carol' })];
+
+  const firstState = await recordStreamSlots(ACCOUNT_ID, firstBatch, settings);
+  const first = partitionOrders(firstBatch, settings, { streamSlots: getStreamSlots(firstState) });
+  const secondState = await recordStreamSlots(ACCOUNT_ID, secondBatch, settings);
+  const second = partitionOrders(secondBatch, settings, { streamSlots: getStreamSlots(secondState) });
+
+  assert.deepEqual(keysOf(first.groups), ['wn-261001-11p-bob_']);
+  assert.deepEqual(keysOf(second.groups), ['wn-261001-11p-bob_', 'wn-261001-11p-carol_']);
+  assert.equal(second.groups[0].streamId, first.groups[0].streamId);
+  assert.deepEqual(keysOf(partitionOrders(secondBatch, settings).groups), ['wn-261002-12a-bob_', 'wn-261002-12a-carol_']);
+});
+
+test('orders in another currency get their own group with a currency suffix', () => {
+  const orders = [
+    order('usd', '2026-10-01T19:05:00Z'),
+    order('cad', '2026-10-01T19:10:00Z', { currency: 'CAD' })
+  ];
+
+  const { groups } = partitionOrders(orders, settings);
+
+  assert.deepEqual(keysOf(groups), ['wn-261001-07p-bob_', 'wn-261001-07p-bob_CAD_']);
+  assert.deepEqual(groups.map(group => group.currency), ['USD', 'CAD']);
+});
+
+test('marketplace orders are grouped per channel per day', () => {
+  const orders = [
+    order('m1', '2026-10-01T08:00:00Z', { stream: null }),
+    order('m2', '2026-10-01T22:00:00Z', { stream: null })
+  ];
+
+  const { groups } = partitionOrders(orders, settings);
+
+  assert.deepEqual(keysOf(groups), ['wn-MKT-261001-bob_']);
+  assert.deepEqual(idsOf(groups), [['m1', 'm2']]);
+});
+
+test('address strategy groups orders shipping to the same address written differently', () => {
+  const orders = [
+    order('a1', '2026-10-01T19:05:00Z', { username: 'alice' }),
+    order('b1', '2026-10-01T19:10:00Z', {
+      shippingAddress: { line1: '12 OAK ST', line2: null, city: 'austin', state: 'TX', postalCode: '78701-1234', countryCode: 'US' }
+    })
+  ];
+
+  const { groups } = partitionOrders(orders, { ...settings, groupingStrategy: 'address' });
+
+  assert.equal(groups.length, 1);
+  assert.match(groups[0].orderKey, /^wn-261001-07p-a[0-9a-f]{10}_$/);
+});
+
+test('none strategy gives every order its own key', () => {
+  const orders = [order('x1', '2026-10-01T19:05:00Z'), order('x2', '2026-10-01T19:10:00Z')];
+
+  const { groups } = partitionOrders(orders, { ...settings, groupingStrategy: 'none' });
+
+  assert.deepEqual(keysOf(groups), ['wn-o-x1', 'wn-o-x2']);
+});
+
+test('unknown strategies are rejected', () => {
+  assert.throws(
+    () => partitionOrders([order('x1', '2026-10-01T19:05:00Z')], { ...settings, groupingStrategy: 'nope' }),
+    /Unknown grouping strategy: nope/
+  );
+});
+
+test('cancelled orders are dropped with a reason', () => {
+  const orders = [
+    order('c1', '2026-10-01T19:05:00Z', { cancelledAt: '2026-10-01T20:00:00Z' }),
+    order('ok', '2026-10-01T19:10:00Z')
+  ];
+
+  const { groups, dropped } = partitionOrders(orders, settings);
+
+  assert.deepEqual(idsOf(groups), [['ok']]);
+  assert.deepEqual(dropped.map(({ order: o, reason }) => [o.id, reason]), [['c1', 'Order is cancelled']]);
+});
+
+test('giveaways merge into the buyer group by default', () => {
+  const orders = [order('paid', '2026-10-01T19:05:00Z'), order('gift', '2026-10-01T19:10:00Z', { isGiveaway: true })];
+
+  const { groups } = partitionOrders(orders, settings);
+
+  assert.deepEqual(idsOf(groups), [['paid', 'gift']]);
+});
+
+test('giveaways are dropped when giveawayAction is skip', () => {
+  const orders = [order('paid', '2026-10-01T19:05:00Z'), order('gift', '2026-10-01T19:10:00Z', { isGiveaway: true })];
+
+  const { groups, dropped } = partitionOrders(orders, { ...settings, giveawayAction: 'skip' });
+
+  assert.deepEqual(idsOf(groups), [['paid']]);
+  assert.deepEqual(dropped.map(({ order: o }) => o.id), ['gift']);
+});
+
+test('giveaway-only groups are held unless their key is already in ShipStation', () => {
+  const gift = order('gift', '2026-10-01T19:10:00Z', { username: 'carol', isGiveaway: true });
+  const holdSettings = { ...settings, giveawayAction: 'hold' };
+
+  const first = partitionOrders([gift], holdSettings);
+  assert.deepEqual(first.groups, []);
+  assert.deepEqual(keysOf(first.held), ['wn-261001-07p-carol_']);
+
+  const known = partitionOrders([gift], holdSettings, { knownOrderKeys: new Set(['wn-261001-07p-carol_']) });
+  assert.deepEqual(keysOf(known.groups), ['wn-261001-07p-carol_']);
+  assert.deepEqual(known.held, []);
+});
+
+test('combined strategy windows start at the buyer\'s first order', () => {
+  const combined = { ...settings, groupingStrategy: 'combined', combineWindowDays: 3 };
+  const orders = [
+    order('d1', '2026-10-01T23:30:00Z', { stream: 'ls1' }),
+    order('d2', '2026-10-02T00:30:00Z', { stream: 'ls2' }),
+    order('d3', '2026-10-03T12:00:00Z', { stream: 'ls3' }),
+    order('d4', '2026-10-04T12:00:00Z', { stream: 'ls4' })
+  ];
+
+  const { groups } = partitionOrders(orders, combined);
+
+  assert.deepEqual(keysOf(groups), ['wn-cmb-261001-bob_', 'wn-cmb-261004-bob_']);
+  assert.deepEqual(idsOf(groups), [['d1', 'd2', 'd3'], ['d4']]);
+});
+
+test('combined strategy keeps adding to a window already in ShipStation', () => {
+  const combined = { ...settings, groupingStrategy: 'combined', combineWindowDays: 7 };
+  const knownOrderKeys = new Set(['wn-cmb-260929-bob_-FU1', 'wn-cmb-260929-carol_']);
+
+  const { groups } = partitionOrders([order('late', '2026-10-03T10:00:00Z')], combined, { knownOrderKeys });
+
+  assert.deepEqual(keysOf(groups), ['wn-cmb-260929-bob_']);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeWhatnotOrder } from '../utils/mapping.js';
+
+function shipstationOrder(items, fields = {}) {
+  return {
+    orderNumber: 'wn-261001-11p-bob_',
+    items,
+    amountPaid: 30,
+    taxAmount: 0,
+    shippingAmount: 0,
+    internalNotes: items.map(item => item.sku).join(','),
+    weight: { value: 12, units: 'ounces' },
+    insuranceOptions: { provider: 'carrier', insureShipment: true, insuredValue: 30 },
+    advancedOptions: {},
+    ...fields
+  };
+}
+
+function item(sku, weight) {
+  return { sku, name: `Card ${sku}`, quantity: 1, ...(weight && { weight: { value: weight, units: 'ounces' } }) };
+}
+
+function cancelledOrder(id, amount) {
+  return { id, total: { amount, currency: 'USD' }, shippingPrice: { amount: 0, currency: 'USD' } };
+}
+
+test('removeWhatnotOrder weighs the order by its remaining items', () => {
+  const order = shipstationOrder([item('a', 4), item('b', 8)]);
+
+  const updated = removeWhatnotOrder(order, cancelledOrder('b', 1000));
+
+  assert.deepEqual(updated.items.map(line => line.sku), ['a']);
+  assert.deepEqual(updated.weight, { value: 4, units: 'ounces' });
+  assert.equal(updated.insuranceOptions.insuredValue, 20);
+});
+
+test('removeWhatnotOrder falls back to the shipping presets when items have no weight', () => {
+  const settings = {
+    shippingPresets: [{ name: 'Single card', when: { maxItems: 1 }, set: { weight: { value: 1, units: 'ounces' }, insure: false } }]
+  };
+  const order = shipstationOrder([item('a'), item('b')]);
+
+  const updated = removeWhatnotOrder(order, cancelledOrder('b', 1000), settings);
+
+  assert.deepEqual(updated.weight, { value: 1, units: 'ounces' });
+  assert.equal(updated.insuranceOptions.insureShipment, false);
+});
+
+test('removeWhatnotOrder keeps the weight no preset sets', () => {
+  const order = shipstationOrder([item('a'), item('b')]);
+
+  const updated = removeWhatnotOrder(order, cancelledOrder('b', 1000));
+
+  assert.deepEqual(updated.weight, { value: 12, units: 'ounces' });
+});
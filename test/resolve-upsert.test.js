@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ShipStationService from '../services/shipstation.js';
+import { partitionOrders } from '../utils/order-grouping.js';
+import { mapWhatnotToShipStation } from '../utils/mapping.js';
+
+const STORE_ID = 123;
+const ORDER_KEY = 'wn-261001-07p-bob_';
+const settings = {
+  streamTimezone: 'UTC',
+  shippingPresets: [
+    { name: 'Bubble mailer', when: {}, set: { packageCode: 'package', weight: { value: 4, units: 'ounces' } } }
+  ]
+};
+
+/**
+ * Build a Whatnot order bob bought in livestream ls1, as GET_ORDERS returns it
+ * @param {string} id - Whatnot order ID
+ * @param {number} price - Item price in cents; shipping is a flat $5
+ * @returns {Object} Whatnot order
+ */
+function whatnotOrder(id, price) {
+  const usd = amount => ({ amount, currencyCode: 'USD' });
+  return {
+    id,
+    createdAt: '2026-10-01T19:05:00Z',
+    cancelledAt: null,
+    status: 'PROCESSING',
+    isGiveaway: false,
+    customer: { id: 'customer-bob', username: 'bob', displayName: 'Bob', countryCode: 'US' },
+    shippingAddress: {
+      fullName: 'Bob Smith', line1: '12 Oak St', line2: null, city: 'Austin', state: 'TX',
+      postalCode: '78701', phoneNumber: null, countryCode: 'US'
+    },
+    subtotal: usd(price),
+    shippingPrice: usd(500),
+    taxation: usd(0),
+    total: usd(price + 500),
+    salesChannel: { type: 'LIVESTREAM', reference: 'ls1' },
+    trackingInfo: null,
+    items: {
+      edges: [{ node: { id: `${id}-item`, isPickup: false, variant: null, price: usd(price), product: { title: 'Card', externalId: null }, quantity: 1 } }],
+      pageInfo: { hasNextPage: false, endCursor: null }
+    }
+  };
+}
+
+/**
+ * Build a ShipStation order for bob's group as the API returns it, after a packer has
+ * weighed it. Amounts are numbers and unset fields are null.
+ * @param {Array<string>} whatnotIds - Whatnot orders in the ShipStation order, each a $10 item
+ * @param {Object} [fields] - Fields to change, such as orderStatus
+ * @returns {Object} ShipStation order
+ */
+function shipstationOrder(whatnotIds, fields = {}) {
+  return {
+    orderId: 555,
+    orderKey: ORDER_KEY,
+    orderNumber: ORDER_KEY,
+    orderStatus: 'awaiting_shipment',
+    items: whatnotIds.map(id => ({ lineItemKey: `${id}-${id}-item`, sku: id, name: 'Card', quantity: 1, unitPrice: 10 })),
+    amountPaid: 15 * whatnotIds.length,
+    taxAmount: 0,
+    shippingAmount: 5 * whatnotIds.length,
+    internalNotes: whatnotIds.join(','),
+    packageCode: null,
+    weight: { value: 10, units: 'ounces', WeightUnits: 1 },
+    advancedOptions: { storeId: STORE_ID, customField1: null, customField2: null, customField3: null, source: 'Whatnot', mergedOrSplit: false },
+    ...fields
+  };
+}
+
+/**
+ * Group and map bob's Whatnot orders the way createOrders does before resolveUpsert
+ * @param {Array<Object>} orders - Whatnot orders
+ * @returns {{orderGroup: Object, mappedOrder: Object}} Group and mapped order
+ */
+function prepare(orders) {
+  const [orderGroup] = partitionOrders(orders, settings).groups;
+  const mappedOrder = mapWhatnotToShipStation(orderGroup, { settings });
+  mappedOrder.advancedOptions.storeId = STORE_ID;
+  return { orderGroup, mappedOrder };
+}
+
+/**
+ * Create a service whose order lookups answer from a map of order keys instead of the API
+ * @param {Object<string, Object>} [existing] - ShipStation orders by order key
+ * @returns {{shipstation: ShipStationService, lookups: Array<string>}} Service and the keys it looked up
+ */
+function createService(existing = {}) {
+  const shipstation = new ShipStationService({ apiKey: 'key', apiSecret: 'secret' });
+  const lookups = [];
+  shipstation.getOrderByKey = async orderKey => {
+    lookups.push(orderKey);
+    return existing[orderKey] || null;
+  };
+  return { shipstation, lookups };
+}
+
+test('creates a new order when the key is not in ShipStation', async () => {
+  const { orderGroup, mappedOrder } = prepare([whatnotOrder('a1', 1000), whatnotOrder('a2', 1000)]);
+  const { shipstation } = createService();
+
+  const upsert = await shipstation.resolveUpsert(orderGroup, mappedOrder, STORE_ID, { settings });
+
+  assert.equal(mappedOrder.orderKey, ORDER_KEY);
+  assert.equal(upsert.order, mappedOrder);
+  assert.equal(upsert.existingOrder, null);
+  assert.equal(upsert.merged, false);
+  assert.equal(upsert.followUp, 0);
+  assert.deepEqual(upsert.newIds, ['a1', 'a2']);
+});
+
+test('merges new orders into an unshipped order and keeps what the packer set', async () => {
+  const existingOrder = shipstationOrder(['a1']);
+  const { orderGroup, mappedOrder } = prepare([whatnotOrder('a1', 1000), whatnotOrder('a2', 2500)]);
+  const { shipstation } = createService({ [ORDER_KEY]: existingOrder });
+
+  const upsert = await shipstation.resolveUpsert(orderGroup, mappedOrder, STORE_ID, { settings });
+
+  assert.equal(upsert.merged, true);
+  assert.equal(upsert.existingOrder, existingOrder);
+  assert.deepEqual(upsert.newIds, ['a2']);
+  assert.equal(upsert.order.orderId, 555);
+  assert.equal(upsert.order.internalNotes, 'a1,a2');
+  assert.deepEqual(upsert.order.items.map(item => item.sku), ['a1', 'a2']);
+  assert.equal(upsert.order.amountPaid, '45.00');
+  assert.deepEqual(upsert.order.weight, existingOrder.weight);
+  assert.equal(upsert.order.packageCode, 'package');
+});
+
+test('creates a follow-up order when the existing order has shipped', async () => {
+  const { orderGroup, mappedOrder } = prepare([whatnotOrder('a1', 1000), whatnotOrder('a2', 1000)]);
+  const { shipstation, lookups } = createService({ [ORDER_KEY]: shipstationOrder(['a1'], { orderStatus: 'shipped' }) });
+
+  const upsert = await shipstation.resolveUpsert(orderGroup, mappedOrder, STORE_ID, { settings });
+
+  assert.deepEqual(lookups, [ORDER_KEY, `${ORDER_KEY}-FU1`]);
+  assert.equal(upsert.followUp, 1);
+  assert.equal(upsert.merged, false);
+  assert.equal(upsert.order.orderKey, `${ORDER_KEY}-FU1`);
+  assert.equal(upsert.order.orderNumber, `${mappedOrder.orderNumber}-FU1`);
+  assert.equal(upsert.order.internalNotes, 'a2');
+  assert.equal(upsert.order.advancedOptions.storeId, STORE_ID);
+});
+
+test('writes nothing when every order is already in ShipStation', async () => {
+  const existingOrder = shipstationOrder(['a1'], { orderStatus: 'shipped' });
+  const { orderGroup, mappedOrder } = prepare([whatnotOrder('a1', 1000)]);
+  const { shipstation } = createService({ [ORDER_KEY]: existingOrder });
+
+  const upsert = await shipstation.resolveUpsert(orderGroup, mappedOrder, STORE_ID, { settings });
+
+  assert.equal(upsert.order, null);
+  assert.equal(upsert.existingOrder, existingOrder);
+  assert.deepEqual(upsert.newIds, []);
+});
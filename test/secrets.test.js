@@ -0,0 +1,63 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptSecret, decryptSecret, isEncryptedSecret, hasMasterKey } from '../utils/secrets.js';
+
+const originalMasterKey = process.env.SECRETS_MASTER_KEY;
+
+beforeEach(() => {
+  process.env.SECRETS_MASTER_KEY = 'test-master-key';
+});
+
+after(() => {
+  if (originalMasterKey === undefined) {
+    delete process.env.SECRETS_MASTER_KEY;
+  } else {
+    process.env.SECRETS_MASTER_KEY = originalMasterKey;
+  }
+});
+
+test('decrypts what it encrypted', () => {
+  const encrypted = encryptSecret('whatnot-token-123');
+
+  assert.ok(isEncryptedSecret(encrypted));
+  assert.ok(!encrypted.includes('whatnot-token-123'));
+  assert.equal(decryptSecret(encrypted), 'whatnot-token-123');
+});
+
+test('uses a new IV for every encryption', () => {
+  const first = encryptSecret('same secret');
+  const second = encryptSecret('same secret');
+
+  assert.notEqual(first, second);
+  assert.equal(decryptSecret(first), decryptSecret(second));
+});
+
+test('refuses values encrypted under another master key', () => {
+  const encrypted = encryptSecret('whatnot-token-123');
+  process.env.SECRETS_MASTER_KEY = 'another-master-key';
+
+  assert.throws(() => decryptSecret(encrypted), /Could not decrypt secret; check that SECRETS_MASTER_KEY/);
+});
+
+test('refuses values that were changed after encryption', () => {
+  const [prefix, version, iv, tag, ciphertext] = encryptSecret('whatnot-token-123').split(':');
+  const bytes = Buffer.from(ciphertext, 'base64');
+  bytes[0] ^= 1;
+  const tampered = [prefix, version, iv, tag, bytes.toString('base64')].join(':');
+
+  assert.throws(() => decryptSecret(tampered), /Could not decrypt secret/);
+});
+
+test('recognises only encrypted values', () => {
+  assert.equal(isEncryptedSecret('plain-token'), false);
+  assert.equal(isEncryptedSecret('enc:v1:missing-parts'), false);
+  assert.equal(isEncryptedSecret(null), false);
+  assert.throws(() => decryptSecret('plain-token'), /Value is not an encrypted secret/);
+});
+
+test('requires SECRETS_MASTER_KEY', () => {
+  delete process.env.SECRETS_MASTER_KEY;
+
+  assert.equal(hasMasterKey(), false);
+  assert.throws(() => encryptSecret('whatnot-token-123'), /SECRETS_MASTER_KEY must be set/);
+});
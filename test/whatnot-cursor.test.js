@@ -0,0 +1,89 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import WhatnotService from '../services/whatnot.js';
+import { loadCursor, saveCursor } from '../utils/cursor-management.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Cursors are written to the real cursors folder, under an account no real setup uses
+const ACCOUNT_ID = `test-cursor-${process.pid}`;
+
+after(async () => {
+  await rm(join(__dirname, '../cursors', `${ACCOUNT_ID}.json`), { force: true });
+});
+
+function createService(pages) {
+  const service = new WhatnotService(ACCOUNT_ID, 'token', '2024-01-01T00:00:00Z');
+  let page = 0;
+  service.executeQuery = async () => {
+    const orderIds = pages[page];
+    page++;
+    return {
+      orders: {
+        edges: orderIds.map(id => ({ node: { id, items: { edges: [], pageInfo: { hasNextPage: false } } } })),
+        pageInfo: { hasNextPage: page < pages.length, endCursor: `cursor-${page}` }
+      }
+    };
+  };
+  return service;
+}
+
+test('getOrders stages one entry per fetched page', async () => {
+  const service = createService([['a', 'b']]);
+  const orders = await service.getOrders();
+
+  assert.deepEqual(orders.map(order => order.id), ['a', 'b']);
+  assert.deepEqual(service.stagedPages, [{ endCursor: 'cursor-1', orderIds: ['a', 'b'] }]);
+});
+
+test('getOrders without staging leaves nothing for commitCursor to commit', async () => {
+  const service = createService([['a']]);
+  await service.getOrders({ stage: false });
+
+  assert.deepEqual(service.stagedPages, []);
+  assert.deepEqual(await service.commitCursor(['a']), { committedPages: 0, pendingPages: 0 });
+});
+
+test('commitCursor stops at the first page with an unsettled order', async () => {
+  await rm(join(__dirname, '../cursors', `${ACCOUNT_ID}.json`), { force: true });
+  const service = new WhatnotService(ACCOUNT_ID, 'token', '2024-01-01T00:00:00Z');
+  service.stagedPages = [
+    { endCursor: 'c1', orderIds: ['a', 'b'] },
+    { endCursor: 'c2', orderIds: ['c'] },
+    { endCursor: 'c3', orderIds: ['d'] }
+  ];
+
+  const result = await service.commitCursor(['a', 'b', 'd']);
+
+  assert.deepEqual(result, { committedPages: 1, pendingPages: 2 });
+  assert.equal(await loadCursor(ACCOUNT_ID), 'c1');
+  assert.deepEqual(service.stagedPages.map(page => page.endCursor), ['c2', 'c3']);
+});
+
+test('commitCursor moves past every page once all orders are settled', async () => {
+  const service = new WhatnotService(ACCOUNT_ID, 'token', '2024-01-01T00:00:00Z');
+  service.stagedPages = [
+    { endCursor: 'c2', orderIds: ['c'] },
+    { endCursor: 'c3', orderIds: ['d'] }
+  ];
+
+  const result = await service.commitCursor(new Set(['c', 'd']));
+
+  assert.deepEqual(result, { committedPages: 2, pendingPages: 0 });
+  assert.equal(await loadCursor(ACCOUNT_ID), 'c3');
+});
+
+test('commitCursor keeps the saved cursor when the first page is unsettled', async () => {
+  await saveCursor(ACCOUNT_ID, 'c3');
+  const service = new WhatnotService(ACCOUNT_ID, 'token', '2024-01-01T00:00:00Z');
+  service.stagedPages = [{ endCursor: 'c4', orderIds: ['e'] }];
+
+  const result = await service.commitCursor([]);
+
+  assert.deepEqual(result, { committedPages: 0, pendingPages: 1 });
+  assert.equal(await loadCursor(ACCOUNT_ID), 'c3');
+});
@@ -0,0 +1,267 @@
+import { LOCAL_TIMEZONE } from './formatting.js';
+import { TEMPLATE_TOKENS, getTemplateTokens, validateTemplate } from './templates.js';
+import { DEFAULT_CUSTOMS, validateCustomsTable } from './customs.js';
+import { ADDRESS_FLAGS } from './address.js';
+import { DEFAULT_CURRENCY, validateCurrencySettings } from './currency.js';
+import { validateTagRules } from './order-tags.js';
+import { validateShippingPresets } from './shipping-presets.js';
+import { resolveValidationRules, validateValidationRules } from './validation-rules.js';
+
+/**
+ * Order grouping strategies an account can choose from
+ * - stream: one order per buyer per stream
+ * - address: one order per shipping address per stream
+ * - combined: one order per buyer across all streams within combineWindowDays calendar days
+ *   (in the stream timezone) of the buyer's first order in the window
+ * - none: one ShipStation order per Whatnot order
+ */
+export const GROUPING_STRATEGIES = ['stream', 'address', 'combined', 'none'];
+
+// What to do with a ShipStation order once all of its Whatnot orders are cancelled
+export const CANCELLATION_ACTIONS = ['cancel', 'hold'];
+
+/**
+ * How giveaway orders are handled
+ * - merge: ship with the buyer's other orders as zero-price "Giveaway" lines
+ * - skip: never send giveaways to ShipStation
+ * - hold: keep giveaway-only orders back until the buyer has a paid order in the same stream
+ */
+export const GIVEAWAY_ACTIONS = ['merge', 'skip', 'hold'];
+
+/**
+ * What happens to orders of a livestream that has not finished yet
+ * - create: create them right away
+ * - defer: keep them back until the stream finishes
+ * - hold: create them on hold in ShipStation (holdUntil) and release them when the stream finishes
+ */
+export const OPEN_STREAM_ACTIONS = ['create', 'defer', 'hold'];
+
+export const DEFAULT_SETTINGS = {
+  groupingStrategy: 'stream',
+  combineWindowDays: 7,
+  cancellationAction: 'cancel',
+  giveawayAction: 'merge',
+  openStreamAction: 'create',
+  // A stream counts as finished once its newest order is this many hours old, or when marked finished
+  streamFinishedAfterHours: 2,
+  // Address flags (po_box, military) that put an order on hold like a serious address problem
+  addressHoldFlags: [],
+  // Tags added to created orders by condition (giveaways, address and customs holds, ...), with tags
+  // named as in ShipStation; see order-tags.js
+  tagRules: [],
+  streamTimezone: LOCAL_TIMEZONE,
+  streamIdTemplate: '{streamDate}-{streamHour}',
+  channelStreamIdTemplate: '{channelCode}-{streamDate}',
+  orderNumberTemplate: '{orderKey}',
+  customFieldTemplates: {
+    customField1: '{streamId}',
+    customField2: '{shipping}',
+    // Empty unless the account sets it, e.g. to "{channel} {currency}"
+    customField3: ''
+  },
+  // Currency of the ShipStation store; orders in other currencies are converted with currencyRates
+  currency: DEFAULT_CURRENCY,
+  // Value of one unit of each other currency in the store currency, e.g. { "CAD": 0.73 }
+  currencyRates: {},
+  // Package, weight, confirmation and insurance settings by order contents; see shipping-presets.js
+  shippingPresets: [],
+  customs: DEFAULT_CUSTOMS,
+  // Validation rules with the account's `validationRules` applied; see resolveValidationRules
+  validationRules: resolveValidationRules()
+};
+
+const CUSTOM_FIELDS = Object.keys(DEFAULT_SETTINGS.customFieldTemplates);
+
+/**
+ * Check whether a timezone name is known to the runtime
+ * @param {string} timeZone - IANA timezone such as "America/New_York"
+ * @returns {boolean} True if the timezone can be used
+ */
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check an account's templates
+ * @param {Object} settings - Sync settings with defaults applied
+ * @returns {Array<string>} Problems found, empty if all templates are valid
+ */
+function validateTemplates(settings) {
+  const errors = [
+    ...validateTemplate(settings.streamIdTemplate, TEMPLATE_TOKENS.streamId).map(error => `streamIdTemplate ${error}`),
+    ...validateTemplate(settings.channelStreamIdTemplate, TEMPLATE_TOKENS.channelStreamId).map(error => `channelStreamIdTemplate ${error}`),
+    ...validateTemplate(settings.orderNumberTemplate, TEMPLATE_TOKENS.orderNumber).map(error => `orderNumberTemplate ${error}`)
+  ];
+
+  // Order numbers are shown to staff and must tell consolidated orders apart
+  if (typeof settings.orderNumberTemplate === 'string') {
+    const tokens = getTemplateTokens(settings.orderNumberTemplate);
+    if (!tokens.includes('orderKey') && !tokens.includes('seq')) {
+      errors.push('orderNumberTemplate must include {orderKey} or {seq} so every order number is unique');
+    }
+  }
+
+  for (const [field, template] of Object.entries(settings.customFieldTemplates)) {
+    if (!CUSTOM_FIELDS.includes(field)) {
+      errors.push(`customFieldTemplates has unknown field ${field} (allowed: ${CUSTOM_FIELDS.join(', ')})`);
+      continue;
+    }
+    errors.push(...validateTemplate(template, TEMPLATE_TOKENS.customField).map(error => `customFieldTemplates.${field} ${error}`));
+  }
+
+  return errors;
+}
+
+/**
+ * Get an account's sync settings with defaults applied
+ * @param {Object} account - Account configuration
+ * @returns {Object} Sync settings
+ * @throws {Error} If a setting has an invalid value
+ */
+export function getSyncSettings(account) {
+  const settings = {
+    accountName: account.name,
+    groupingStrategy: account.groupingStrategy ?? DEFAULT_SETTINGS.groupingStrategy,
+    combineWindowDays: account.combineWindowDays ?? DEFAULT_SETTINGS.combineWindowDays,
+    cancellationAction: account.cancellationAction ?? DEFAULT_SETTINGS.cancellationAction,
+    giveawayAction: account.giveawayAction ?? DEFAULT_SETTINGS.giveawayAction,
+    openStreamAction: account.openStreamAction ?? DEFAULT_SETTINGS.openStreamAction,
+    streamFinishedAfterHours: account.streamFinishedAfterHours ?? DEFAULT_SETTINGS.streamFinishedAfterHours,
+    addressHoldFlags: account.addressHoldFlags ?? DEFAULT_SETTINGS.addressHoldFlags,
+    tagRules: account.tagRules ?? DEFAULT_SETTINGS.tagRules,
+    streamTimezone: account.streamTimezone ?? DEFAULT_SETTINGS.streamTimezone,
+    streamIdTemplate: account.streamIdTemplate ?? DEFAULT_SETTINGS.streamIdTemplate,
+    channelStreamIdTemplate: account.channelStreamIdTemplate ?? DEFAULT_SETTINGS.channelStreamIdTemplate,
+    orderNumberTemplate: account.orderNumberTemplate ?? DEFAULT_SETTINGS.orderNumberTemplate,
+    customFieldTemplates: { ...DEFAULT_SETTINGS.customFieldTemplates, ...account.customFieldTemplates },
+    currency: account.currency ?? DEFAULT_SETTINGS.currency,
+    currencyRates: account.currencyRates ?? DEFAULT_SETTINGS.currencyRates,
+    shippingPresets: account.shippingPresets ?? DEFAULT_SETTINGS.shippingPresets,
+    customs: { ...DEFAULT_SETTINGS.customs, ...account.customs }
+  };
+
+  if (account.validationRules !== undefined && !Array.isArray(account.validationRules)) {
+    throw new Error(`Invalid validationRules for account ${account.name}. Use a list of rules`);
+  }
+  settings.validationRules = resolveValidationRules(account.validationRules);
+  const ruleErrors = validateValidationRules(settings.validationRules);
+  if (ruleErrors.length > 0) {
+    throw new Error(`Invalid validationRules for account ${account.name}: ${ruleErrors.join('; ')}`);
+  }
+
+  if (!GROUPING_STRATEGIES.includes(settings.groupingStrategy)) {
+    throw new Error(`Invalid groupingStrategy "${settings.groupingStrategy}" for account ${account.name}. Use one of: ${GROUPING_STRATEGIES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(settings.combineWindowDays) || settings.combineWindowDays < 1) {
+    throw new Error(`Invalid combineWindowDays "${settings.combineWindowDays}" for account ${account.name}. Use a whole number of days (1 or more)`);
+  }
+
+  if (!CANCELLATION_ACTIONS.includes(settings.cancellationAction)) {
+    throw new Error(`Invalid cancellationAction "${settings.cancellationAction}" for account ${account.name}. Use one of: ${CANCELLATION_ACTIONS.join(', ')}`);
+  }
+
+  if (!GIVEAWAY_ACTIONS.includes(settings.giveawayAction)) {
+    throw new Error(`Invalid giveawayAction "${settings.giveawayAction}" for account ${account.name}. Use one of: ${GIVEAWAY_ACTIONS.join(', ')}`);
+  }
+
+  // Held giveaways are released by a paid order with the same orderKey, which never happens without grouping
+  if (settings.giveawayAction === 'hold' && settings.groupingStrategy === 'none') {
+    throw new Error(`giveawayAction "hold" needs a groupingStrategy that combines orders for account ${account.name} (groupingStrategy is "none")`);
+  }
+
+  if (!OPEN_STREAM_ACTIONS.includes(settings.openStreamAction)) {
+    throw new Error(`Invalid openStreamAction "${settings.openStreamAction}" for account ${account.name}. Use one of: ${OPEN_STREAM_ACTIONS.join(', ')}`);
+  }
+
+  if (typeof settings.streamFinishedAfterHours !== 'number' || !(settings.streamFinishedAfterHours > 0)) {
+    throw new Error(`Invalid streamFinishedAfterHours "${settings.streamFinishedAfterHours}" for account ${account.name}. Use a number of hours above 0`);
+  }
+
+  const tagRuleErrors = validateTagRules(settings.tagRules);
+  if (tagRuleErrors.length > 0) {
+    throw new Error(`Invalid tagRules for account ${account.name}: ${tagRuleErrors.join('; ')}`);
+  }
+
+  if (!Array.isArray(settings.addressHoldFlags) || settings.addressHoldFlags.some(flag => !ADDRESS_FLAGS.includes(flag))) {
+    throw new Error(`Invalid addressHoldFlags ${JSON.stringify(settings.addressHoldFlags)} for account ${account.name}. Use a list of: ${ADDRESS_FLAGS.join(', ')}`);
+  }
+
+  if (!isValidTimezone(settings.streamTimezone)) {
+    throw new Error(`Invalid streamTimezone "${settings.streamTimezone}" for account ${account.name}. Use an IANA timezone such as America/New_York`);
+  }
+
+  const currencyErrors = validateCurrencySettings(settings.currency, settings.currencyRates);
+  if (currencyErrors.length > 0) {
+    throw new Error(`Invalid currency settings for account ${account.name}: ${currencyErrors.join('; ')}`);
+  }
+
+  const presetErrors = validateShippingPresets(settings.shippingPresets);
+  if (presetErrors.length > 0) {
+    throw new Error(`Invalid shippingPresets for account ${account.name}: ${presetErrors.join('; ')}`);
+  }
+
+  const customsErrors = validateCustomsTable(settings.customs);
+  if (customsErrors.length > 0) {
+    throw new Error(`Invalid customs table for account ${account.name}: ${customsErrors.join('; ')}`);
+  }
+
+  const templateErrors = validateTemplates(settings);
+  if (templateErrors.length > 0) {
+    throw new Error(`Invalid templates for account ${account.name}: ${templateErrors.join('; ')}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Check whether an account's order number or custom field templates use the {seq} token
+ * @param {Object} settings - Sync settings from getSyncSettings
+ * @returns {boolean} True if order groups need sequence numbers
+ */
+export function usesSequenceNumbers(settings) {
+  return [settings.orderNumberTemplate, ...Object.values(settings.customFieldTemplates || {})]
+    .some(template => template && getTemplateTokens(template).includes('seq'));
+}
+
+/**
+ * Get the ShipStation API credentials an account uses. Accounts on their own ShipStation
+ * account set `shipstationApiKey` and `shipstationApiSecret`; the others use the
+ * SHIPSTATION_API_KEY and SHIPSTATION_API_SECRET environment values.
+ * @param {Object} account - Account configuration
+ * @returns {{apiKey: string, apiSecret: string}} Credentials
+ * @throws {Error} If only one of the account's key and secret is set
+ */
+export function getShipStationCredentials(account) {
+  const { shipstationApiKey: apiKey, shipstationApiSecret: apiSecret } = account;
+  if (!apiKey !== !apiSecret) {
+    throw new Error(`Account ${account.name} must set both shipstationApiKey and shipstationApiSecret, or neither`);
+  }
+  if (apiKey) {
+    return { apiKey, apiSecret };
+  }
+  return { apiKey: process.env.SHIPSTATION_API_KEY, apiSecret: process.env.SHIPSTATION_API_SECRET };
+}
+
+/**
+ * Check the sync settings of several accounts at once
+ * @param {Array<Object>} accounts - Account configurations
+ * @returns {Array<{account: string, error: string}>} Settings errors, empty if all accounts are valid
+ */
+export function validateAccountSettings(accounts) {
+  const errors = [];
+  for (const account of accounts) {
+    try {
+      getSyncSettings(account);
+      getShipStationCredentials(account);
+    } catch (error) {
+      errors.push({ account: account.name, error: error.message });
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,247 @@
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { readdir, unlink } from 'fs/promises';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+import { getSyncSettings, getShipStationCredentials } from './account-settings.js';
+import { hasMasterKey, encryptSecret, decryptSecret, isEncryptedSecret } from './secrets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ACCOUNTS_FILE = join(__dirname, '../accounts.json');
+const ACCOUNTS_BACKUP_PATH = join(__dirname, '../accounts_backups');
+
+// Backups of accounts.json kept before each change; older ones are deleted
+const MAX_ACCOUNT_BACKUPS = 20;
+
+// Account names are used in the file names of per-account state
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// Fields holding credentials, never sent to the dashboard in full
+const SECRET_FIELDS = ['whatnotToken', 'shipstationApiKey', 'shipstationApiSecret'];
+
+let warnedPlaintextTokens = false;
+
+/**
+ * Load account configuration from accounts.json
+ * @returns {Promise<Array<Object>>} Accounts, empty if the file does not exist yet
+ */
+export async function loadAccounts() {
+  try {
+    const { accounts = [] } = await readJsonFile(ACCOUNTS_FILE, { accounts: [] });
+    return accounts;
+  } catch (error) {
+    console.error('Error loading accounts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check an account's configuration, including its sync settings
+ * @param {Object} account - Account configuration
+ * @returns {Array<string>} Problems found, empty if the account is valid
+ */
+export function validateAccount(account) {
+  const errors = [];
+  if (typeof account.name !== 'string' || !ACCOUNT_NAME_PATTERN.test(account.name)) {
+    errors.push('name must be 1-64 letters, digits, dashes or underscores, starting with a letter or digit');
+  }
+  if (account.whatnotTokenEncrypted !== undefined) {
+    if (!isEncryptedSecret(account.whatnotTokenEncrypted)) {
+      errors.push('whatnotTokenEncrypted is not an encrypted token');
+    }
+  } else if (typeof account.whatnotToken !== 'string' || !account.whatnotToken.trim()) {
+    errors.push('whatnotToken is required');
+  }
+  if (!Number.isInteger(account.shipstationStoreId) || account.shipstationStoreId <= 0) {
+    errors.push('shipstationStoreId must be a positive whole number');
+  }
+  if (typeof account.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  for (const field of ['shipstationApiKey', 'shipstationApiSecret']) {
+    if (account[field] !== undefined && (typeof account[field] !== 'string' || !account[field].trim())) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  try {
+    getSyncSettings(account);
+    getShipStationCredentials(account);
+  } catch (error) {
+    errors.push(error.message);
+  }
+  return errors;
+}
+
+/**
+ * Mask a credential so only its last four characters show
+ * @param {string} value - Credential
+ * @returns {string} Masked credential
+ */
+export function maskSecret(value) {
+  const text = String(value);
+  return text.length > 8 ? `••••${text.slice(-4)}` : '••••';
+}
+
+/**
+ * Get an account as shown to the dashboard, with its credentials masked
+ * @param {Object} account - Account configuration
+ * @returns {Object} Account with an `id` and masked credentials
+ */
+export function toPublicAccount(account) {
+  const { whatnotTokenEncrypted, ...fields } = account;
+  const masked = Object.fromEntries(SECRET_FIELDS
+    .filter(field => fields[field] !== undefined)
+    .map(field => [field, maskSecret(fields[field])]));
+  if (whatnotTokenEncrypted) {
+    masked.whatnotToken = '•••• (encrypted)';
+  }
+  return { id: account.name, ...fields, ...masked };
+}
+
+/**
+ * Get an account's Whatnot token, decrypting it if it is stored encrypted. Only call
+ * this where the token is used, so the plaintext lives no longer than needed.
+ * @param {Object} account - Account configuration
+ * @returns {string|undefined} Whatnot API token
+ */
+export function getWhatnotToken(account) {
+  return account.whatnotTokenEncrypted ? decryptSecret(account.whatnotTokenEncrypted) : account.whatnotToken;
+}
+
+/**
+ * Encrypt an account's plaintext Whatnot token for storage. Without SECRETS_MASTER_KEY
+ * the token is kept in plaintext, with a warning.
+ * @param {Object} account - Account configuration
+ * @returns {Object} Account with `whatnotTokenEncrypted` in place of `whatnotToken`
+ */
+export function encryptAccountSecrets(account) {
+  if (!account.whatnotToken) {
+    return account;
+  }
+  if (!hasMasterKey()) {
+    if (!warnedPlaintextTokens) {
+      console.warn('SECRETS_MASTER_KEY is not set; Whatnot tokens are stored in plaintext in accounts.json');
+      warnedPlaintextTokens = true;
+    }
+    return account;
+  }
+
+  const { whatnotToken, ...fields } = account;
+  return { ...fields, whatnotTokenEncrypted: encryptSecret(whatnotToken) };
+}
+
+/**
+ * Copy accounts.json to the backup folder, keeping the newest MAX_ACCOUNT_BACKUPS copies.
+ * With SECRETS_MASTER_KEY set, plaintext Whatnot tokens are encrypted in the copy.
+ * @param {Object} data - Current contents of accounts.json
+ * @returns {Promise<string>} Path of the backup
+ */
+async function backupAccountsFile(data) {
+  const backupFile = join(ACCOUNTS_BACKUP_PATH, `accounts-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  await writeJsonFile(backupFile, { ...data, accounts: (data.accounts || []).map(encryptAccountSecrets) });
+
+  const backups = (await readdir(ACCOUNTS_BACKUP_PATH)).filter(file => file.startsWith('accounts-')).sort();
+  for (const file of backups.slice(0, -MAX_ACCOUNT_BACKUPS)) {
+    await unlink(join(ACCOUNTS_BACKUP_PATH, file));
+  }
+  return backupFile;
+}
+
+/**
+ * Replace the accounts in accounts.json, backing up the previous file first.
+ * Other top-level keys of the file are kept.
+ * @param {Array<Object>} accounts - Accounts to save
+ * @returns {Promise<void>}
+ */
+export async function saveAccounts(accounts) {
+  const data = await readJsonFile(ACCOUNTS_FILE, null);
+  if (data) {
+    await backupAccountsFile(data);
+  }
+  await writeJsonFile(ACCOUNTS_FILE, { ...data, accounts });
+}
+
+/**
+ * Encrypt the plaintext Whatnot tokens left in backups of accounts.json made before
+ * SECRETS_MASTER_KEY was set
+ * @returns {Promise<Array<string>>} File names of the backups that were rewritten
+ * @throws {Error} If SECRETS_MASTER_KEY is not set
+ */
+export async function encryptAccountBackups() {
+  if (!hasMasterKey()) {
+    throw new Error('SECRETS_MASTER_KEY must be set to encrypt the tokens in account backups');
+  }
+
+  try {
+    const files = (await readdir(ACCOUNTS_BACKUP_PATH).catch(error => {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    })).filter(file => file.startsWith('accounts-'));
+
+    const rewritten = [];
+    for (const file of files) {
+      const backupFile = join(ACCOUNTS_BACKUP_PATH, file);
+      const data = await readJsonFile(backupFile, null);
+      if (data?.accounts?.some(account => account.whatnotToken)) {
+        await writeJsonFile(backupFile, { ...data, accounts: data.accounts.map(encryptAccountSecrets) });
+        rewritten.push(file);
+      }
+    }
+    return rewritten;
+  } catch (error) {
+    console.error('Error encrypting account backups:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add an account, or replace the account of the same name. A plaintext Whatnot
+ * token is encrypted before it is written.
+ * @param {Object} account - Valid account configuration, see validateAccount
+ * @returns {Promise<Object>} The saved account
+ */
+export async function saveAccount(account) {
+  account = encryptAccountSecrets(account);
+  try {
+    const accounts = await loadAccounts();
+    const index = accounts.findIndex(existing => existing.name === account.name);
+    if (index === -1) {
+      accounts.push(account);
+    } else {
+      accounts[index] = account;
+    }
+    await saveAccounts(accounts);
+    return account;
+  } catch (error) {
+    console.error(`Error saving account ${account.name}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove an account from accounts.json. Its ledger, cursors and other state files are kept.
+ * @param {string} accountId - Account identifier
+ * @returns {Promise<boolean>} True if the account existed
+ */
+export async function deleteAccount(accountId) {
+  try {
+    const accounts = await loadAccounts();
+    const remaining = accounts.filter(account => account.name !== accountId);
+    if (remaining.length === accounts.length) {
+      return false;
+    }
+    await saveAccounts(remaining);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting account ${accountId}:`, error);
+    throw error;
+  }
+}
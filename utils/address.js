@@ -0,0 +1,186 @@
+// US states, DC, territories and the military "states" used for APO/FPO/DPO mail
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida',
+  GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana',
+  IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine',
+  MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+  MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+  VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin',
+  WY: 'Wyoming', PR: 'Puerto Rico', VI: 'Virgin Islands', GU: 'Guam', AS: 'American Samoa',
+  MP: 'Northern Mariana Islands', FM: 'Micronesia', MH: 'Marshall Islands', PW: 'Palau',
+  AA: 'Armed Forces Americas', AE: 'Armed Forces Europe', AP: 'Armed Forces Pacific'
+};
+
+const STATE_CODES_BY_NAME = Object.fromEntries(
+  Object.entries(US_STATES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+const MILITARY_STATES = ['AA', 'AE', 'AP'];
+
+// First three ZIP digits assigned to each state, as [first, last, states]
+const ZIP_PREFIXES = [
+  [5, 5, ['NY']], [6, 7, ['PR']], [8, 8, ['VI']], [9, 9, ['PR']],
+  [10, 27, ['MA']], [28, 29, ['RI']], [30, 38, ['NH']], [39, 49, ['ME']],
+  [50, 54, ['VT']], [55, 55, ['MA']], [56, 59, ['VT']], [60, 69, ['CT']],
+  [70, 89, ['NJ']], [90, 99, ['AE']], [100, 149, ['NY']], [150, 196, ['PA']],
+  [197, 199, ['DE']], [200, 200, ['DC']], [201, 201, ['VA']], [202, 205, ['DC']],
+  [206, 219, ['MD']], [220, 246, ['VA']], [247, 268, ['WV']], [270, 289, ['NC']],
+  [290, 299, ['SC']], [300, 319, ['GA']], [320, 339, ['FL']], [340, 340, ['AA']],
+  [341, 349, ['FL']], [350, 369, ['AL']], [370, 385, ['TN']], [386, 397, ['MS']],
+  [398, 399, ['GA']], [400, 427, ['KY']], [430, 459, ['OH']], [460, 479, ['IN']],
+  [480, 499, ['MI']], [500, 528, ['IA']], [530, 549, ['WI']], [550, 567, ['MN']],
+  [569, 569, ['DC']], [570, 577, ['SD']], [580, 588, ['ND']], [590, 599, ['MT']],
+  [600, 629, ['IL']], [630, 658, ['MO']], [660, 679, ['KS']], [680, 693, ['NE']],
+  [700, 714, ['LA']], [716, 729, ['AR']], [730, 732, ['OK']], [733, 733, ['TX']],
+  [734, 749, ['OK']], [750, 799, ['TX']], [800, 816, ['CO']], [820, 831, ['WY']],
+  [832, 838, ['ID']], [840, 847, ['UT']], [850, 865, ['AZ']], [870, 884, ['NM']],
+  [885, 885, ['TX']], [889, 898, ['NV']], [900, 961, ['CA']], [962, 966, ['AP']],
+  [967, 968, ['HI', 'AS']], [969, 969, ['GU', 'MP', 'FM', 'MH', 'PW']], [970, 979, ['OR']],
+  [980, 994, ['WA']], [995, 999, ['AK']]
+];
+
+const PO_BOX_PATTERN = /\b(p\.?\s*o\.?\s*box|post\s+office\s+box|p\.?\s*o\.?\s*b\.?\s+\d|pob\s+\d)/i;
+const MILITARY_CITY_PATTERN = /^(apo|fpo|dpo)$/i;
+
+// Addresses that ship fine but may need a different service; accounts can choose to hold them
+export const ADDRESS_FLAGS = ['po_box', 'military'];
+
+/**
+ * Trim an address field and collapse repeated whitespace
+ * @param {string|null} value - Address field
+ * @returns {string|null} Cleaned value, or null if empty
+ */
+function clean(value) {
+  const cleaned = (value ?? '').toString().replace(/\s+/g, ' ').trim();
+  return cleaned || null;
+}
+
+/**
+ * Capitalize an all-lowercase field; words with digits (unit numbers) are uppercased
+ * @param {string|null} value - Cleaned address field
+ * @returns {string|null} Field with fixed casing
+ */
+function fixCasing(value) {
+  if (!value || value !== value.toLowerCase() || !/[a-z]/.test(value)) {
+    return value;
+  }
+  return value
+    .split(' ')
+    .map(word => /\d/.test(word) ? word.toUpperCase() : word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Get the states a ZIP code can belong to
+ * @param {string} zip - Five-digit ZIP code
+ * @returns {Array<string>|null} State codes, or null if the prefix is not assigned
+ */
+function getZipStates(zip) {
+  const prefix = Number(zip.slice(0, 3));
+  const range = ZIP_PREFIXES.find(([first, last]) => prefix >= first && prefix <= last);
+  return range ? range[2] : null;
+}
+
+/**
+ * Normalize a US state to its two-letter code
+ * @param {string|null} state - State code or name
+ * @returns {string|null} State code, or null if it is not a US state
+ */
+function normalizeState(state) {
+  if (!state) {
+    return null;
+  }
+  const upper = state.toUpperCase().replace(/\./g, '');
+  if (US_STATES[upper]) {
+    return upper;
+  }
+  return STATE_CODES_BY_NAME[state.toLowerCase()] || null;
+}
+
+/**
+ * Normalize a US ZIP code to "12345" or "12345-6789"
+ * @param {string|null} zip - ZIP code as entered
+ * @returns {string|null} Normalized ZIP, or null if it cannot be read as a ZIP code
+ */
+function normalizeZip(zip) {
+  const digits = (zip || '').replace(/[\s-]/g, '');
+  if (/^\d{5}$/.test(digits)) {
+    return digits;
+  }
+  if (/^\d{9}$/.test(digits)) {
+    return `${digits.slice(0, 5)}-${digits.slice(5)}`;
+  }
+  return null;
+}
+
+/**
+ * Run offline checks on a Whatnot shipping address. Fixable problems (casing,
+ * whitespace, state names, ZIP formatting) are fixed in the returned address;
+ * the rest are reported.
+ * @param {Object} address - Whatnot shipping address
+ * @returns {{address: Object, fixes: Array<string>, problems: Array<{type: string, message: string}>, flags: Array<{type: string, message: string}>}}
+ *   Normalized address, fixes made, serious problems and informational flags
+ */
+export function checkAddress(address) {
+  const fixes = [];
+  const problems = [];
+  const flags = [];
+
+  const normalized = { ...address };
+  for (const field of ['fullName', 'line1', 'line2', 'city', 'state', 'postalCode', 'phoneNumber']) {
+    const value = field === 'state' || field === 'postalCode' ? clean(address[field]) : fixCasing(clean(address[field]));
+    if (value !== (address[field] ?? null)) {
+      fixes.push(`${field} cleaned up`);
+    }
+    normalized[field] = value;
+  }
+  normalized.countryCode = (clean(address.countryCode) || '').toUpperCase() || null;
+
+  for (const field of ['fullName', 'line1', 'city', 'countryCode']) {
+    if (!normalized[field]) {
+      problems.push({ type: 'missing_field', message: `Address is missing ${field}` });
+    }
+  }
+
+  if (normalized.countryCode === 'US') {
+    const state = normalizeState(normalized.state);
+    if (!normalized.state) {
+      problems.push({ type: 'missing_field', message: 'Address is missing state' });
+    } else if (!state) {
+      problems.push({ type: 'invalid_state', message: `"${normalized.state}" is not a US state` });
+    } else if (state !== normalized.state) {
+      fixes.push(`state "${normalized.state}" changed to ${state}`);
+      normalized.state = state;
+    }
+
+    const zip = normalizeZip(normalized.postalCode);
+    if (!normalized.postalCode) {
+      problems.push({ type: 'missing_field', message: 'Address is missing postalCode' });
+    } else if (!zip) {
+      problems.push({ type: 'invalid_zip', message: `"${normalized.postalCode}" is not a valid ZIP or ZIP+4 code` });
+    } else {
+      if (zip !== normalized.postalCode) {
+        fixes.push(`postalCode "${normalized.postalCode}" changed to ${zip}`);
+        normalized.postalCode = zip;
+      }
+      const zipStates = getZipStates(zip);
+      if (state && zipStates && !zipStates.includes(state)) {
+        problems.push({ type: 'zip_state_mismatch', message: `ZIP ${zip} belongs to ${zipStates.join('/')}, not ${state}` });
+      }
+    }
+
+    if (MILITARY_STATES.includes(state) || MILITARY_CITY_PATTERN.test(normalized.city || '')) {
+      flags.push({ type: 'military', message: `Military address (${normalized.city} ${state})` });
+    }
+  }
+
+  if ([normalized.line1, normalized.line2].some(line => line && PO_BOX_PATTERN.test(line))) {
+    flags.push({ type: 'po_box', message: 'PO box address' });
+  }
+
+  return { address: normalized, fixes, problems, flags };
+}
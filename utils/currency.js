@@ -0,0 +1,70 @@
+// Currency of the ShipStation store when an account does not set one
+export const DEFAULT_CURRENCY = 'USD';
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Get the currency a Whatnot order was paid in
+ * @param {Object} order - Whatnot order
+ * @returns {string} ISO currency code
+ */
+export function getOrderCurrency(order) {
+  return (order.total?.currencyCode || DEFAULT_CURRENCY).toUpperCase();
+}
+
+/**
+ * Check an account's store currency and rate table
+ * @param {string} currency - Store currency
+ * @param {Object} currencyRates - Value of one unit of each currency in the store currency, by code
+ * @returns {Array<string>} Problems found, empty if the settings are valid
+ */
+export function validateCurrencySettings(currency, currencyRates) {
+  const errors = [];
+  if (typeof currency !== 'string' || !CURRENCY_CODE_PATTERN.test(currency)) {
+    errors.push(`currency "${currency}" is invalid (use a three-letter code such as USD)`);
+  }
+
+  if (!currencyRates || typeof currencyRates !== 'object' || Array.isArray(currencyRates)) {
+    errors.push('currencyRates must be an object of rates keyed by currency code');
+    return errors;
+  }
+  for (const [code, rate] of Object.entries(currencyRates)) {
+    if (!CURRENCY_CODE_PATTERN.test(code)) {
+      errors.push(`currencyRates has an invalid currency code "${code}"`);
+    }
+    if (typeof rate !== 'number' || !(rate > 0)) {
+      errors.push(`currencyRates["${code}"] must be a number above 0`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Get the rate that converts a currency into the store currency
+ * @param {string} currency - ISO currency code
+ * @param {Object} settings - Sync settings from getSyncSettings (currency and currencyRates)
+ * @returns {number|null} Rate, or null if the account has no rate for the currency
+ */
+export function getExchangeRate(currency, settings = {}) {
+  const { currency: storeCurrency = DEFAULT_CURRENCY, currencyRates = {} } = settings;
+  if (currency === storeCurrency) {
+    return 1;
+  }
+  return currencyRates[currency] ?? null;
+}
+
+/**
+ * Convert an amount in cents into the store currency, rounded to whole cents
+ * @param {number} cents - Amount in cents of `currency`
+ * @param {string} currency - ISO currency code of the amount
+ * @param {Object} settings - Sync settings from getSyncSettings
+ * @returns {number} Amount in cents of the store currency
+ * @throws {Error} If the account has no rate for the currency
+ */
+export function convertCents(cents, currency, settings = {}) {
+  const rate = getExchangeRate(currency, settings);
+  if (rate === null) {
+    throw new Error(`No exchange rate for ${currency}; add it to currencyRates`);
+  }
+  return Math.round(cents * rate);
+}
@@ -51,4 +51,4 @@ export async function loadCursor(accountId) {
     console.error(`Error loading cursor for account ${accountId}:`, error);
     throw error;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,173 @@
+import { centsToDollars } from './formatting.js';
+
+// Orders shipped within this country need no customs declaration
+export const DOMESTIC_COUNTRY = 'US';
+
+// Values ShipStation accepts for internationalOptions
+export const CUSTOMS_CONTENTS = ['merchandise', 'documents', 'gift', 'returned_goods', 'sample'];
+export const NON_DELIVERY_OPTIONS = ['return_to_sender', 'treat_as_abandoned'];
+
+/**
+ * Default customs table. Accounts override these in a `customs` object:
+ * - products: entries keyed by product externalId or variant SKU
+ * - categories: entries with `keywords` matched against product titles, first match wins
+ * Each entry has a description and optional harmonizedTariffCode, countryOfOrigin
+ * (default: originCountry) and per-unit value in dollars (default: the item price).
+ */
+export const DEFAULT_CUSTOMS = {
+  contents: 'merchandise',
+  nonDelivery: 'return_to_sender',
+  originCountry: 'US',
+  products: {},
+  categories: []
+};
+
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+
+/**
+ * Check whether an order ships outside the domestic country
+ * @param {Object} order - Whatnot order
+ * @returns {boolean} True if the order needs a customs declaration
+ */
+export function isInternationalOrder(order) {
+  const country = (order.shippingAddress?.countryCode || DOMESTIC_COUNTRY).toUpperCase();
+  return country !== DOMESTIC_COUNTRY;
+}
+
+/**
+ * Check one customs table entry
+ * @param {Object} entry - Customs entry
+ * @param {string} name - Entry name used in error messages
+ * @returns {Array<string>} Problems found
+ */
+function validateCustomsEntry(entry, name) {
+  if (!entry || typeof entry !== 'object') {
+    return [`${name} must be an object`];
+  }
+
+  const errors = [];
+  if (typeof entry.description !== 'string' || !entry.description.trim()) {
+    errors.push(`${name} needs a description`);
+  }
+  if (entry.harmonizedTariffCode !== undefined && !/^[\d.]{4,14}$/.test(String(entry.harmonizedTariffCode))) {
+    errors.push(`${name} has an invalid harmonizedTariffCode "${entry.harmonizedTariffCode}"`);
+  }
+  if (entry.countryOfOrigin !== undefined && !COUNTRY_CODE_PATTERN.test(entry.countryOfOrigin)) {
+    errors.push(`${name} has an invalid countryOfOrigin "${entry.countryOfOrigin}" (use a two-letter code such as US)`);
+  }
+  if (entry.value !== undefined && (typeof entry.value !== 'number' || entry.value <= 0)) {
+    errors.push(`${name} has an invalid value "${entry.value}" (use a dollar amount above 0)`);
+  }
+  return errors;
+}
+
+/**
+ * Check an account's customs table
+ * @param {Object} customs - Customs table with defaults applied
+ * @returns {Array<string>} Problems found, empty if the table is valid
+ */
+export function validateCustomsTable(customs) {
+  const errors = [];
+
+  if (!CUSTOMS_CONTENTS.includes(customs.contents)) {
+    errors.push(`contents "${customs.contents}" is invalid (use one of: ${CUSTOMS_CONTENTS.join(', ')})`);
+  }
+  if (!NON_DELIVERY_OPTIONS.includes(customs.nonDelivery)) {
+    errors.push(`nonDelivery "${customs.nonDelivery}" is invalid (use one of: ${NON_DELIVERY_OPTIONS.join(', ')})`);
+  }
+  if (!COUNTRY_CODE_PATTERN.test(customs.originCountry)) {
+    errors.push(`originCountry "${customs.originCountry}" is invalid (use a two-letter code such as US)`);
+  }
+
+  if (!customs.products || typeof customs.products !== 'object' || Array.isArray(customs.products)) {
+    errors.push('products must be an object keyed by product externalId or SKU');
+  } else {
+    for (const [key, entry] of Object.entries(customs.products)) {
+      errors.push(...validateCustomsEntry(entry, `products["${key}"]`));
+    }
+  }
+
+  if (!Array.isArray(customs.categories)) {
+    errors.push('categories must be an array');
+  } else {
+    customs.categories.forEach((entry, index) => {
+      errors.push(...validateCustomsEntry(entry, `categories[${index}]`));
+      if (!Array.isArray(entry?.keywords) || entry.keywords.length === 0) {
+        errors.push(`categories[${index}] needs a non-empty keywords array`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Find the customs table entry for an order item: by product externalId, then
+ * variant SKU, then the first category with a keyword in the product title
+ * @param {Object} item - Whatnot order item
+ * @param {Object} customs - Customs table from getSyncSettings
+ * @returns {Object|null} Customs entry, or null if the table has none for the item
+ */
+export function findCustomsEntry(item, customs) {
+  const products = customs.products || {};
+  for (const key of [item.product?.externalId, item.variant?.sku]) {
+    if (key && products[key]) {
+      return products[key];
+    }
+  }
+
+  const title = (item.product?.title || '').toLowerCase();
+  return (customs.categories || []).find(category =>
+    category.keywords.some(keyword => title.includes(String(keyword).toLowerCase()))
+  ) || null;
+}
+
+/**
+ * Get the items of an order that have no customs table entry
+ * @param {Object} order - Whatnot order
+ * @param {Object} customs - Customs table from getSyncSettings
+ * @returns {Array<Object>} Whatnot order items without customs data
+ */
+export function getItemsMissingCustoms(order, customs) {
+  return (order.items?.edges || [])
+    .map(edge => edge.node)
+    .filter(item => !findCustomsEntry(item, customs));
+}
+
+/**
+ * Build ShipStation internationalOptions for a group of Whatnot orders, with one
+ * customs item per order item. Values are per unit, in dollars.
+ * @param {Array<Object>} orders - Whatnot orders shipping to the same address
+ * @param {Object} customs - Customs table from getSyncSettings
+ * @param {Function} [toStoreCents] - Converts item prices into the store currency (default: no conversion)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.skipMissing] - Leave out items without customs data instead of throwing,
+ *   for orders created on hold until the declaration is completed
+ * @returns {Object} ShipStation internationalOptions
+ * @throws {Error} If an item has no customs data and skipMissing is not set
+ */
+export function buildInternationalOptions(orders, customs, toStoreCents = cents => cents, { skipMissing = false } = {}) {
+  const customsItems = orders.flatMap(order => order.items.edges.flatMap(({ node: item }) => {
+    const entry = findCustomsEntry(item, customs);
+    if (!entry) {
+      if (skipMissing) {
+        return [];
+      }
+      throw new Error(`No customs data for item "${item.product?.title || item.id}" in order ${order.id}`);
+    }
+
+    return [{
+      description: entry.description,
+      quantity: item.quantity,
+      value: entry.value ?? Number(centsToDollars(order.isGiveaway ? 0 : toStoreCents(item.price.amount))),
+      harmonizedTariffCode: entry.harmonizedTariffCode ? String(entry.harmonizedTariffCode) : null,
+      countryOfOrigin: entry.countryOfOrigin || customs.originCountry
+    }];
+  }));
+
+  return {
+    contents: customs.contents,
+    nonDelivery: customs.nonDelivery,
+    customsItems
+  };
+}
@@ -0,0 +1,113 @@
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const FAILED_ORDERS_PATH = join(__dirname, '../failed_orders');
+
+/**
+ * Load the queue of order groups ShipStation failed to create for an account
+ * @param {string} accountId - Account identifier
+ * @returns {Promise<Array<Object>>} Failed order entries, oldest first
+ */
+export async function loadFailedOrders(accountId) {
+  try {
+    const queueFile = join(FAILED_ORDERS_PATH, `${accountId}.json`);
+    const { orders } = await readJsonFile(queueFile, { orders: [] });
+    return orders;
+  } catch (error) {
+    console.error(`Error loading failed orders for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Save the failed order queue for an account
+ * @param {string} accountId - Account identifier
+ * @param {Array<Object>} orders - Failed order entries
+ * @returns {Promise<void>}
+ */
+async function saveFailedOrders(accountId, orders) {
+  const queueFile = join(FAILED_ORDERS_PATH, `${accountId}.json`);
+  await writeJsonFile(queueFile, {
+    orders,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Park failed order groups in the retry queue. A group that is already queued
+ * (it shares a Whatnot order ID with an entry) has its error and attempt count updated.
+ * @param {string} accountId - Account identifier
+ * @param {Array<Object>} failures - Failed groups with `whatnotIds`, `streamId`, `error` and the Whatnot `orders`
+ * @param {string} [jobRun] - Identifier of the sync run the failure happened in
+ * @returns {Promise<Array<Object>>} The queued entries for the given failures
+ */
+export async function parkFailedOrders(accountId, failures, jobRun = null) {
+  try {
+    const queue = await loadFailedOrders(accountId);
+    const failedAt = new Date().toISOString();
+    const parked = [];
+
+    for (const failure of failures) {
+      const existing = queue.find(entry =>
+        entry.whatnotIds.some(id => failure.whatnotIds.includes(id))
+      );
+
+      if (existing) {
+        existing.whatnotIds = failure.whatnotIds;
+        existing.orders = failure.orders;
+        existing.error = failure.error;
+        existing.attempts += 1;
+        existing.lastFailedAt = failedAt;
+        existing.jobRun = jobRun;
+        parked.push(existing);
+        continue;
+      }
+
+      const entry = {
+        id: randomUUID(),
+        streamId: failure.streamId,
+        whatnotIds: failure.whatnotIds,
+        customerUsername: failure.orders[0]?.customer?.username || null,
+        error: failure.error,
+        attempts: 1,
+        firstFailedAt: failedAt,
+        lastFailedAt: failedAt,
+        jobRun,
+        orders: failure.orders
+      };
+      queue.push(entry);
+      parked.push(entry);
+    }
+
+    await saveFailedOrders(accountId, queue);
+    console.log(`Parked ${failures.length} failed order groups for account ${accountId} (${queue.length} queued)`);
+    return parked;
+  } catch (error) {
+    console.error(`Error parking failed orders for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove entries from the retry queue
+ * @param {string} accountId - Account identifier
+ * @param {Array<string>} entryIds - IDs of the entries to remove
+ * @returns {Promise<void>}
+ */
+export async function removeFailedOrders(accountId, entryIds) {
+  try {
+    const queue = await loadFailedOrders(accountId);
+    const remaining = queue.filter(entry => !entryIds.includes(entry.id));
+    await saveFailedOrders(accountId, remaining);
+    console.log(`Removed ${queue.length - remaining.length} entries from failed order queue for account ${accountId}`);
+  } catch (error) {
+    console.error(`Error removing failed orders for account ${accountId}:`, error);
+    throw error;
+  }
+}
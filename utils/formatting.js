@@ -1,17 +1,34 @@
+import { formatInTimeZone } from 'date-fns-tz';
+
+// Timezone of the host, used when an account does not set a stream timezone
+export const LOCAL_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 /**
- * Formats a timestamp into a stream ID in the format "YYMMDD-HHa/p"
+ * Get the date and hour parts of a stream ID for a timestamp in a timezone
  * @param {string|Date} timestamp - Timestamp to format
- * @returns {string} Formatted stream ID
+ * @param {string} [timeZone] - IANA timezone (default: the host's timezone)
+ * @returns {{streamDate: string, streamHour: string}} Date as "YYMMDD" and hour as "HHa/p"
  */
-export function formatStreamId(timestamp) {
+export function getStreamParts(timestamp, timeZone = LOCAL_TIMEZONE) {
     const date = new Date(timestamp);
-    const yy = date.getFullYear().toString().slice(-2);
-    const mm = (date.getMonth() + 1).toString().padStart(2, '0');
-    const dd = date.getDate().toString().padStart(2, '0');
-    const hour = date.getHours();
+    const hour = Number(formatInTimeZone(date, timeZone, 'H'));
     const hour12 = hour % 12 || 12;
     const ampm = hour < 12 ? 'a' : 'p';
-    return `${yy}${mm}${dd}-${hour12.toString().padStart(2, '0')}${ampm}`;
+    return {
+      streamDate: formatInTimeZone(date, timeZone, 'yyMMdd'),
+      streamHour: `${hour12.toString().padStart(2, '0')}${ampm}`
+    };
+  }
+
+/**
+ * Formats a timestamp into a stream ID in the format "YYMMDD-HHa/p"
+ * @param {string|Date} timestamp - Timestamp to format
+ * @param {string} [timeZone] - IANA timezone (default: the host's timezone)
+ * @returns {string} Formatted stream ID
+ */
+export function formatStreamId(timestamp, timeZone = LOCAL_TIMEZONE) {
+    const { streamDate, streamHour } = getStreamParts(timestamp, timeZone);
+    return `${streamDate}-${streamHour}`;
   }
   
   /**
@@ -24,13 +41,23 @@ export function formatStreamId(timestamp) {
   }
   
   /**
-   * Formats cents as a USD currency string
+   * Formats cents as a currency string
    * @param {number} cents - Amount in cents
-   * @returns {string} Formatted currency string (e.g., "$10.99")
+   * @param {string} [currency] - ISO currency code (default: USD)
+   * @returns {string} Formatted currency string (e.g., "$10.99", "CA$10.99")
    */
-  export function formatUSD(cents) {
+  export function formatMoney(cents, currency = 'USD') {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency
     }).format(cents / 100);
+  }
+
+  /**
+   * Formats cents as a USD currency string
+   * @param {number} cents - Amount in cents
+   * @returns {string} Formatted currency string (e.g., "$10.99")
+   */
+  export function formatUSD(cents) {
+    return formatMoney(cents, 'USD');
   }
\ No newline at end of file
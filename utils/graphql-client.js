@@ -49,6 +49,25 @@ export async function executeQuery(client, query, variables = {}) {
     } else {
       console.error('GraphQL request failed:', error.message);
     }
-    throw error;
+    throw withoutCredentials(error);
   }
+}
+
+/**
+ * Copy an axios error without its request config, which carries the API token, so
+ * callers can log the error in full
+ * @param {Error} error - Error from a Whatnot request
+ * @returns {Error} Error safe to log
+ */
+function withoutCredentials(error) {
+  if (!error.config) {
+    return error;
+  }
+
+  const safeError = new Error(error.message);
+  safeError.code = error.code;
+  if (error.response) {
+    safeError.response = { status: error.response.status, statusText: error.response.statusText, data: error.response.data };
+  }
+  return safeError;
 }
\ No newline at end of file
@@ -0,0 +1,112 @@
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const HELD_GIVEAWAYS_PATH = join(__dirname, '../held_giveaways');
+
+/**
+ * Load the giveaway-only order groups held back for an account
+ * @param {string} accountId - Account identifier
+ * @returns {Promise<Array<Object>>} Held entries, each with its Whatnot `orders`
+ */
+export async function loadHeldGiveaways(accountId) {
+  try {
+    const heldFile = join(HELD_GIVEAWAYS_PATH, `${accountId}.json`);
+    const { groups } = await readJsonFile(heldFile, { groups: [] });
+    return groups;
+  } catch (error) {
+    console.error(`Error loading held giveaways for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the Whatnot orders of held giveaways that are not already in a list of orders.
+ * These are copies from when the orders were held; fetch the current orders before use.
+ * @param {Array<Object>} heldGiveaways - Entries from loadHeldGiveaways
+ * @param {Array<Object>} orders - Whatnot orders fetched in this run
+ * @returns {Array<Object>} Held orders missing from `orders`
+ */
+export function getHeldOrders(heldGiveaways, orders) {
+  const orderIds = new Set(orders.map(order => order.id));
+  return heldGiveaways
+    .flatMap(entry => entry.orders)
+    .filter(order => !orderIds.has(order.id));
+}
+
+/**
+ * Build the stored entry of a held order group
+ * @param {Object} group - Held order group from partitionOrders
+ * @param {Object|undefined} previous - Entry the group was already held under, if any
+ * @param {string} checkedAt - Time of the run that held the group
+ * @param {string|null} jobRun - Identifier of the run
+ * @returns {Object} Held entry
+ */
+function toHeldEntry(group, previous, checkedAt, jobRun) {
+  return {
+    orderKey: group.orderKey,
+    streamId: group.streamId,
+    customerUsername: group.orders[0]?.customer?.username || null,
+    whatnotIds: group.orders.map(order => order.id),
+    firstHeldAt: previous?.firstHeldAt || checkedAt,
+    lastCheckedAt: checkedAt,
+    jobRun,
+    orders: group.orders
+  };
+}
+
+/**
+ * Replace the held giveaways of an account with the groups held in the latest run.
+ * Every held order is grouped again on each run, so groups that are no longer held
+ * have been released and are removed.
+ * @param {string} accountId - Account identifier
+ * @param {Array<Object>} heldGroups - Held order groups from partitionOrders
+ * @param {string} [jobRun] - Identifier of the sync run
+ * @returns {Promise<Array<Object>>} The held entries
+ */
+export async function replaceHeldGiveaways(accountId, heldGroups, jobRun = null) {
+  try {
+    const previous = new Map((await loadHeldGiveaways(accountId)).map(entry => [entry.orderKey, entry]));
+    const checkedAt = new Date().toISOString();
+
+    const groups = heldGroups.map(group => toHeldEntry(group, previous.get(group.orderKey), checkedAt, jobRun));
+
+    await writeJsonFile(join(HELD_GIVEAWAYS_PATH, `${accountId}.json`), { groups, updatedAt: checkedAt });
+    const released = Array.from(previous.keys()).filter(orderKey => !groups.some(entry => entry.orderKey === orderKey));
+    console.log(`Holding ${groups.length} giveaway-only order groups for account ${accountId} (${released.length} released)`);
+    return groups;
+  } catch (error) {
+    console.error(`Error saving held giveaways for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add giveaway-only groups to the held giveaways of an account, for groups held outside
+ * a sync run (such as retried failed orders). A group already held under the same
+ * orderKey is replaced.
+ * @param {string} accountId - Account identifier
+ * @param {Array<Object>} heldGroups - Held order groups from partitionOrders
+ * @param {string} [jobRun] - Identifier of the run that held them
+ * @returns {Promise<Array<Object>>} The held entries
+ */
+export async function addHeldGiveaways(accountId, heldGroups, jobRun = null) {
+  try {
+    const groups = new Map((await loadHeldGiveaways(accountId)).map(entry => [entry.orderKey, entry]));
+    const checkedAt = new Date().toISOString();
+    for (const group of heldGroups) {
+      groups.set(group.orderKey, toHeldEntry(group, groups.get(group.orderKey), checkedAt, jobRun));
+    }
+
+    await writeJsonFile(join(HELD_GIVEAWAYS_PATH, `${accountId}.json`), { groups: Array.from(groups.values()), updatedAt: checkedAt });
+    console.log(`Holding ${groups.size} giveaway-only order groups for account ${accountId} (${heldGroups.length} added)`);
+    return Array.from(groups.values());
+  } catch (error) {
+    console.error(`Error adding held giveaways for account ${accountId}:`, error);
+    throw error;
+  }
+}
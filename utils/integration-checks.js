@@ -0,0 +1,247 @@
+import { createShipStationService } from '../services/shipstation.js';
+import { createWhatnotClient, executeQuery } from './graphql-client.js';
+import { GET_FIRST_ORDER_ID, GET_ORDER_STATUS } from '../graphql/orders.js';
+import { validateAccount, getWhatnotToken } from './accounts.js';
+
+// Below this share of ShipStation's per-minute limit left, a sync would stall on rate limiting
+const MIN_RATE_LIMIT_HEADROOM = 0.25;
+
+const RATE_LIMIT_HINT = 'Another app or sync is using the same ShipStation API key; wait for the limit to reset, or give this account its own ShipStation credentials';
+
+/**
+ * Build the result of one check. Failed checks carry a hint on how to fix them.
+ * @param {string} check - Check name
+ * @param {boolean} ok - Whether the check passed
+ * @param {string} message - What was found
+ * @param {string} [hint] - How to fix a failed check
+ * @returns {{check: string, ok: boolean, message: string, hint?: string}} Check result
+ */
+function result(check, ok, message, hint = null) {
+  return ok || !hint ? { check, ok, message } : { check, ok, message, hint };
+}
+
+/**
+ * List the stores of the ShipStation account an account uses
+ * @param {Object} account - Account configuration; only its ShipStation credentials are used
+ * @param {ShipStationService} [shipstation] - Service to list them with (default: one for the account)
+ * @returns {Promise<Array<{storeId: number, storeName: string, marketplaceName: string, active: boolean}>>} Stores,
+ *   active ones first
+ */
+export async function listShipStationStores(account, shipstation = createShipStationService(account)) {
+  const stores = await shipstation.listStores(true);
+  return stores
+    .map(({ storeId, storeName, marketplaceName, active }) => ({ storeId, storeName, marketplaceName, active }))
+    .sort((a, b) => Number(b.active) - Number(a.active) || a.storeName.localeCompare(b.storeName));
+}
+
+/**
+ * Check that an account's ShipStation store is among the stores of its ShipStation account and is active
+ * @param {Object} account - Account configuration
+ * @param {Array<Object>} stores - Stores from listShipStationStores
+ * @returns {Object} Check result
+ */
+function findStore(account, stores) {
+  const store = stores.find(candidate => candidate.storeId === account.shipstationStoreId);
+  if (!store) {
+    return result('shipstationStore', false,
+      `ShipStation has no store ${account.shipstationStoreId}; its stores are ${stores.map(s => `${s.storeName} (${s.storeId})`).join(', ') || 'none'}`,
+      'Set shipstationStoreId to one of the stores listed, or use the setup wizard to pick it');
+  }
+  if (!store.active) {
+    return result('shipstationStore', false, `ShipStation store ${store.storeName} (${store.storeId}) is deactivated`,
+      'Reactivate the store in ShipStation under Settings > Selling Channels, or pick another store');
+  }
+  return result('shipstationStore', true, `ShipStation store ${store.storeName} (${store.storeId}) found`);
+}
+
+/**
+ * Check that an account's ShipStation store exists and is active
+ * @param {Object} account - Account configuration
+ * @returns {Promise<{check: string, ok: boolean, message: string}>} Check result
+ */
+export async function checkShipStationStore(account) {
+  try {
+    return findStore(account, await listShipStationStores(account));
+  } catch (error) {
+    return result('shipstationStore', false, `Could not list ShipStation stores: ${error.message}`,
+      'Check the ShipStation API key and secret');
+  }
+}
+
+/**
+ * Check ShipStation access for an account: its credentials, its store and how much of
+ * the API rate limit is left
+ * @param {Object} account - Account configuration
+ * @returns {Promise<Array<Object>>} Results of the shipstationAuth, shipstationStore and rateLimit checks
+ */
+export async function checkShipStationAccess(account) {
+  const credentialsSource = account.shipstationApiKey ? 'the account\'s shipstationApiKey and shipstationApiSecret' : 'SHIPSTATION_API_KEY and SHIPSTATION_API_SECRET in .env';
+  let shipstation;
+  let stores;
+  try {
+    shipstation = createShipStationService(account);
+    stores = await listShipStationStores(account, shipstation);
+  } catch (error) {
+    if (error.message.startsWith('Rate limit exceeded')) {
+      return [
+        result('shipstationAuth', true, `ShipStation accepted the API credentials from ${credentialsSource}`),
+        result('rateLimit', false, `ShipStation's rate limit is used up: ${error.message}`, RATE_LIMIT_HINT)
+      ];
+    }
+    // Network and HTTP errors carry a code; missing and rejected credentials do not
+    if (error.code) {
+      return [result('shipstationAuth', false, `Could not reach ShipStation: ${error.message}`,
+        'Check the server\'s network connection and ShipStation\'s status page, then try again')];
+    }
+    return [result('shipstationAuth', false, error.message,
+      `Copy the API key and secret from ShipStation under Settings > Account > API Settings into ${credentialsSource}`)];
+  }
+
+  const checks = [
+    result('shipstationAuth', true, `ShipStation accepted the API credentials from ${credentialsSource}`),
+    findStore(account, stores)
+  ];
+
+  const { rateLimit } = shipstation;
+  if (!rateLimit) {
+    checks.push(result('rateLimit', true, 'ShipStation did not report its rate limit'));
+  } else {
+    const ok = rateLimit.remaining >= rateLimit.limit * MIN_RATE_LIMIT_HEADROOM;
+    checks.push({
+      ...result('rateLimit', ok,
+        `${rateLimit.remaining} of ${rateLimit.limit} ShipStation requests left this minute (resets in ${rateLimit.resetSeconds}s)`, RATE_LIMIT_HINT),
+      rateLimit
+    });
+  }
+  return checks;
+}
+
+/**
+ * Check that a Whatnot token is accepted and can read orders
+ * @param {string} token - Whatnot API token
+ * @returns {Promise<Array<Object>>} Results of the whatnotAuth and whatnotOrders checks
+ */
+export async function checkWhatnotAccess(token) {
+  const tokenHint = 'Create a new seller API token in Whatnot and save it with the account form';
+  if (!token) {
+    return [result('whatnotAuth', false, 'No Whatnot token given', tokenHint)];
+  }
+
+  const client = createWhatnotClient(token);
+  let oldest;
+  try {
+    const data = await executeQuery(client, GET_FIRST_ORDER_ID);
+    oldest = data.orders.edges[0]?.node;
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 401 || status === 403) {
+      return [result('whatnotAuth', false, 'Whatnot rejected the token', tokenHint)];
+    }
+    if (error.graphQLErrors) {
+      return [
+        result('whatnotAuth', true, 'Whatnot accepted the token'),
+        result('whatnotOrders', false, `Whatnot refused to list orders: ${error.message}`,
+          'Create a token with permission to read orders, and save it with the account form')
+      ];
+    }
+    return [result('whatnotAuth', false, `Could not reach Whatnot: ${error.message}`,
+      'Check the server\'s network connection and try again')];
+  }
+
+  const checks = [result('whatnotAuth', true, 'Whatnot accepted the token')];
+  if (!oldest) {
+    checks.push(result('whatnotOrders', true, 'Whatnot can list orders; the seller has none yet'));
+    return checks;
+  }
+
+  // Listing orders is not enough; the sync also reads each order's amounts
+  try {
+    await executeQuery(client, GET_ORDER_STATUS, { orderId: oldest.id });
+    checks.push(result('whatnotOrders', true, `Whatnot orders can be read; oldest order placed ${oldest.createdAt}`));
+  } catch (error) {
+    checks.push(result('whatnotOrders', false, `Whatnot listed orders but refused to read order ${oldest.id}: ${error.message}`,
+      'Create a token with permission to read orders, and save it with the account form'));
+  }
+  return checks;
+}
+
+/**
+ * Check that a Whatnot token can read the seller's orders
+ * @param {string} token - Whatnot API token
+ * @returns {Promise<{check: string, ok: boolean, message: string}>} Check result
+ */
+export async function checkWhatnotToken(token) {
+  const checks = await checkWhatnotAccess(token);
+  const failed = checks.find(check => !check.ok);
+  if (failed) {
+    return result('whatnotToken', false, `Whatnot token check failed: ${failed.message}`, failed.hint);
+  }
+  return result('whatnotToken', true, checks[checks.length - 1].message);
+}
+
+/**
+ * Check an account's configuration
+ * @param {Object} account - Account configuration
+ * @returns {Object} Result of the settings check
+ */
+function checkSettings(account) {
+  const errors = validateAccount(account);
+  return errors.length === 0
+    ? result('settings', true, 'Account configuration is valid')
+    : result('settings', false, `Invalid account: ${errors.join('; ')}`, 'Fix the fields named above in the account form or accounts.json');
+}
+
+/**
+ * Run every setup check on an account: its configuration, its ShipStation store and its Whatnot token
+ * @param {Object} account - Account configuration
+ * @returns {Promise<{ok: boolean, checks: Array<{check: string, ok: boolean, message: string}>}>} Whether
+ *   every check passed, and each check's result
+ */
+export async function runSetupChecks(account) {
+  const checks = [checkSettings(account)];
+
+  // The remote checks need credentials and a store ID that at least have the right shape
+  if (checks[0].ok) {
+    checks.push(await checkShipStationStore(account));
+    let token = null;
+    try {
+      token = getWhatnotToken(account);
+    } catch (error) {
+      checks.push(result('whatnotToken', false, error.message, 'Set SECRETS_MASTER_KEY to the key the token was encrypted with'));
+    }
+    if (token) {
+      checks.push(await checkWhatnotToken(token));
+    }
+  }
+
+  return { ok: checks.every(check => check.ok), checks };
+}
+
+/**
+ * Test an account's connections end to end: its configuration, Whatnot authentication
+ * and order access, ShipStation authentication, its store and the rate-limit headroom
+ * @param {Object} account - Account configuration
+ * @returns {Promise<{account: string, ok: boolean, testedAt: string, checks: Array<Object>}>} Report with one
+ *   result per check; failed checks carry a `hint`
+ */
+export async function testAccountConnection(account) {
+  const checks = [checkSettings(account)];
+
+  let token = null;
+  try {
+    token = getWhatnotToken(account);
+  } catch (error) {
+    checks.push(result('whatnotAuth', false, error.message, 'Set SECRETS_MASTER_KEY to the key the token was encrypted with'));
+  }
+  if (token !== null) {
+    checks.push(...await checkWhatnotAccess(token));
+  }
+  checks.push(...await checkShipStationAccess(account));
+
+  return {
+    account: account.name,
+    ok: checks.every(check => check.ok),
+    testedAt: new Date().toISOString(),
+    checks
+  };
+}
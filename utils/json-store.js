@@ -0,0 +1,34 @@
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Absolute path of the file
+ * @param {*} [fallback=null] - Value to return if the file does not exist
+ * @returns {Promise<*>} Parsed file contents or the fallback
+ */
+export async function readJsonFile(filePath, fallback = null) {
+  try {
+    const data = await readFile(filePath, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically, so a crash mid-write never leaves a truncated file
+ * @param {string} filePath - Absolute path of the file
+ * @param {*} data - Data to serialize
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(filePath, data) {
+  await mkdir(dirname(filePath), { recursive: true });
+
+  const tempFile = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tempFile, JSON.stringify(data, null, 2));
+  await rename(tempFile, filePath);
+}
@@ -1,44 +1,145 @@
-import { centsToDollars, formatUSD } from './formatting.js';
+import { centsToDollars, formatMoney } from './formatting.js';
+import { renderTemplate } from './templates.js';
+import { DEFAULT_SETTINGS } from './account-settings.js';
+import { buildInternationalOptions, isInternationalOrder } from './customs.js';
+import { DEFAULT_CURRENCY, convertCents, getOrderCurrency } from './currency.js';
+import { applyShippingPresets } from './shipping-presets.js';
+
+const CUSTOM_FIELDS = ['customField1', 'customField2', 'customField3'];
+
+// Ounces in one unit of each ShipStation weight unit
+const OUNCES_PER_UNIT = { ounces: 1, pounds: 16, grams: 1 / 28.3495 };
+
+/**
+ * Map a Whatnot order item to a ShipStation line item. Giveaway lines are free,
+ * labeled "Giveaway" and carry a Giveaway option that shows on packing slips.
+ * @param {Object} order - Whatnot order the item belongs to
+ * @param {Object} item - Whatnot order item
+ * @param {Function} toStoreCents - Converts an amount of the order's currency into the store currency
+ * @returns {Object} ShipStation line item
+ */
+function mapOrderItem(order, item, toStoreCents) {
+  const name = item.product?.title || 'Whatnot Item';
+  const lineItem = {
+    sku: order.id,
+    lineItemKey: `${order.id}-${item.id}`,
+    name: order.isGiveaway ? `Giveaway: ${name}` : name,
+    quantity: item.quantity,
+    unitPrice: centsToDollars(order.isGiveaway ? 0 : toStoreCents(item.price.amount)),
+    productId: item.product?.id || null,
+  };
+
+  if (order.isGiveaway) {
+    lineItem.options = [{ name: 'Giveaway', value: 'Yes' }];
+  }
+
+  return lineItem;
+}
+
+/**
+ * Get the reasons an order group's address needs review before shipping
+ * @param {Object} orderGroup - Group of Whatnot orders, after OrderValidator.reviewAddress
+ * @returns {Array<string>} Hold reasons, empty if the address passed its checks
+ */
+export function getAddressHoldReasons(orderGroup) {
+  return [...new Set(orderGroup.orders.flatMap(order => order.addressHold || []))];
+}
+
+/**
+ * Get the reasons an order group cannot get a customs declaration yet
+ * @param {Object} orderGroup - Group of Whatnot orders, after OrderValidator.reviewCustoms
+ * @returns {Array<string>} Hold reasons, empty if every item has customs data
+ */
+export function getCustomsHoldReasons(orderGroup) {
+  return [...new Set(orderGroup.orders.flatMap(order => order.customsHold || []))];
+}
+
+/**
+ * Get the validation rules that fired for an order group with a given action
+ * @param {Object} orderGroup - Group of Whatnot orders, after OrderValidator.validateOrder
+ * @param {string} action - Rule action: hold or tag
+ * @returns {Array<Object>} Fired rules, as returned by evaluateRules
+ */
+export function getFiredRules(orderGroup, action) {
+  return orderGroup.orders.flatMap(order => (order.firedRules || []).filter(result => result.action === action));
+}
+
+/**
+ * Get every reason an order group must be created on hold: address review, missing customs data and hold rules
+ * @param {Object} orderGroup - Group of Whatnot orders
+ * @returns {Array<string>} Hold reasons, empty if the order can ship
+ */
+export function getHoldReasons(orderGroup) {
+  const ruleReasons = getFiredRules(orderGroup, 'hold').map(({ rule, message }) => `${message} (rule: ${rule})`);
+  return [...new Set([...getAddressHoldReasons(orderGroup), ...getCustomsHoldReasons(orderGroup), ...ruleReasons])];
+}
 
 /**
  * Maps a Whatnot order group to ShipStation order format
  * @param {Object} orderGroup - Group of Whatnot orders to map
- * @returns {Object} Order data in ShipStation format
+ * @param {Object} [options] - Mapping options
+ * @param {Object} [options.settings] - Sync settings from getSyncSettings (orderNumber and customField templates,
+ *   customs table, store currency and rates, shipping presets)
+ * @param {number} [options.seq] - Sequence number of the group, for the {seq} token
+ * @returns {Object} Order data in ShipStation format, with amounts in the store currency
+ * @throws {Error} If the orders are in different currencies or a currency has no exchange rate
  */
-export function mapWhatnotToShipStation(orderGroup) {
+export function mapWhatnotToShipStation(orderGroup, options = {}) {
   if (!orderGroup?.orders?.length) {
     throw new Error('No orders provided');
   }
 
+  const { settings = {}, seq = null } = options;
+  const mapSettings = { ...DEFAULT_SETTINGS, ...settings };
+  const { orderNumberTemplate, customFieldTemplates, customs, shippingPresets, accountName } = mapSettings;
   const { streamId, orders } = orderGroup;
   const firstOrder = orders[0];
+  const orderKey = orderGroup.orderKey || `wn-${streamId}-${firstOrder.customer.username}_`;
+
+  // Amounts are converted into the store currency, so one order must not mix currencies
+  const currency = getOrderCurrency(firstOrder);
+  const currencies = [...new Set(orders.map(getOrderCurrency))];
+  if (currencies.length > 1) {
+    throw new Error(`Cannot combine orders in different currencies (${currencies.join(', ')}) into ${orderKey}`);
+  }
+  const toStoreCents = cents => convertCents(cents, currency, mapSettings);
 
   let totalAmount = 0;
   let totalShipping = 0;
   let totalTax = 0;
 
   const items = orders.flatMap(order => {
-    totalAmount += order.total.amount;
-    totalShipping += order.shippingPrice.amount;
-    totalTax += order.taxation.amount;
-
-    return order.items.edges.map(edge => ({
-      sku: order.id,
-      lineItemKey: `${order.id}-${edge.node.id}`,
-      name: edge.node.product?.title || 'Whatnot Item',
-      quantity: edge.node.quantity,
-      unitPrice: centsToDollars(edge.node.price.amount),
-      productId: edge.node.product?.id || null,
-    }));
+    totalAmount += toStoreCents(order.total.amount);
+    totalShipping += toStoreCents(order.shippingPrice.amount);
+    totalTax += toStoreCents(order.taxation.amount);
+
+    return order.items.edges.map(edge => mapOrderItem(order, edge.node, toStoreCents));
   });
 
-  const orderKey = `wn-${streamId}-${firstOrder.customer.username}_`
+  const templateValues = {
+    orderKey,
+    streamId,
+    streamDate: orderGroup.streamDate,
+    streamHour: orderGroup.streamHour,
+    username: firstOrder.customer.username,
+    account: accountName,
+    seq,
+    channel: orderGroup.channel,
+    shipping: formatMoney(totalShipping, mapSettings.currency),
+    // The original currency, shown only when the order was not paid in the store currency
+    currency: currency === mapSettings.currency ? null : currency
+  };
+  const customFields = Object.fromEntries(CUSTOM_FIELDS.map(field => [
+    field,
+    renderTemplate(customFieldTemplates[field] || '', templateValues) || null
+  ]));
 
-  return {
-    orderNumber: orderKey,
+  const shipstationOrder = {
+    orderNumber: renderTemplate(orderNumberTemplate, templateValues),
     orderKey,
     orderDate: firstOrder.createdAt,
-    orderStatus: 'awaiting_shipment',
+    // Orders whose address failed the pre-flight checks wait for a person to fix them
+    orderStatus: getHoldReasons(orderGroup).length > 0 ? 'on_hold' : 'awaiting_shipment',
     customerUsername: firstOrder.customer.username,
 
     billTo: {
@@ -77,10 +178,154 @@ export function mapWhatnotToShipStation(orderGroup) {
     internalNotes: orders.map(order => order.id).join(','),
     advancedOptions: {
       storeId: null,
-      customField1: streamId,
-      customField2: formatUSD(totalShipping),
+      ...customFields,
       source: 'Whatnot',
       mergedOrSplit: orders.length > 1
     }
   };
-}
\ No newline at end of file
+
+  // Orders leaving the country need a customs declaration to get a label. Groups held for
+  // missing customs data get a partial declaration, completed in ShipStation before release
+  if (isInternationalOrder(firstOrder)) {
+    const skipMissing = getCustomsHoldReasons(orderGroup).length > 0;
+    shipstationOrder.internationalOptions = buildInternationalOptions(orders, customs, toStoreCents, { skipMissing });
+  }
+
+  return applyShippingPresets(shipstationOrder, shippingPresets).order;
+}
+
+/**
+ * Get the Whatnot order IDs a ShipStation order was created from
+ * @param {Object} shipstationOrder - Order in ShipStation format
+ * @returns {Array<string>} Whatnot order IDs listed in the internal notes
+ */
+export function getWhatnotOrderIds(shipstationOrder) {
+  return (shipstationOrder.internalNotes || '').split(',').filter(Boolean);
+}
+
+/**
+ * Update custom fields that show the shipping total after the shipping amount changed
+ * @param {Object} advancedOptions - ShipStation advanced options
+ * @param {number} previousShipping - Shipping total the fields were rendered with, in cents
+ * @param {number} shipping - New shipping total in cents
+ * @param {string} currency - Store currency the totals are in
+ * @returns {Object} Advanced options with updated custom fields
+ */
+function updateShippingFields(advancedOptions, previousShipping, shipping, currency) {
+  const updated = { ...advancedOptions };
+  for (const field of CUSTOM_FIELDS) {
+    if (typeof updated[field] === 'string') {
+      updated[field] = updated[field].replace(formatMoney(previousShipping, currency), formatMoney(shipping, currency));
+    }
+  }
+  return updated;
+}
+
+/**
+ * Merge a mapped order into an existing ShipStation order that has not shipped yet,
+ * combining items and totals. The new order must only contain Whatnot orders that
+ * are not already part of the existing one.
+ * @param {Object} existingOrder - Order as returned by the ShipStation API
+ * @param {Object} newOrder - Order mapped with mapWhatnotToShipStation
+ * @param {string} [currency] - Store currency of both orders (default: USD)
+ * @returns {Object} Combined order in ShipStation format
+ */
+export function mergeShipStationOrders(existingOrder, newOrder, currency = DEFAULT_CURRENCY) {
+  const toCents = amount => Math.round(Number(amount || 0) * 100);
+  const existingShipping = toCents(existingOrder.shippingAmount);
+  const totalShipping = existingShipping + toCents(newOrder.shippingAmount);
+
+  return {
+    ...existingOrder,
+    orderStatus: newOrder.orderStatus === 'on_hold' ? 'on_hold' : existingOrder.orderStatus,
+    items: [...existingOrder.items, ...newOrder.items],
+    amountPaid: centsToDollars(toCents(existingOrder.amountPaid) + toCents(newOrder.amountPaid)),
+    taxAmount: centsToDollars(toCents(existingOrder.taxAmount) + toCents(newOrder.taxAmount)),
+    shippingAmount: centsToDollars(totalShipping),
+    internalNotes: [...getWhatnotOrderIds(existingOrder), ...getWhatnotOrderIds(newOrder)].join(','),
+    ...(newOrder.internationalOptions && {
+      internationalOptions: {
+        ...newOrder.internationalOptions,
+        customsItems: [
+          ...(existingOrder.internationalOptions?.customsItems || []),
+          ...newOrder.internationalOptions.customsItems
+        ]
+      }
+    }),
+    advancedOptions: {
+      ...updateShippingFields(existingOrder.advancedOptions, existingShipping, totalShipping, currency),
+      mergedOrSplit: true
+    }
+  };
+}
+
+/**
+ * Turn a mapped order into a follow-up for a consolidated order that has already shipped
+ * @param {Object} order - Order mapped with mapWhatnotToShipStation
+ * @param {number} followUp - Follow-up number, starting at 1
+ * @returns {Object} Order with suffixed orderKey and orderNumber
+ */
+export function toFollowUpOrder(order, followUp) {
+  const suffix = `-FU${followUp}`;
+  return {
+    ...order,
+    orderKey: `${order.orderKey}${suffix}`,
+    orderNumber: `${order.orderNumber}${suffix}`
+  };
+}
+
+/**
+ * Work out the weight and insurance of an order again after items were removed from it.
+ * The weight is the sum of the item weights when every item has one; otherwise the
+ * shipping presets matching the remaining items decide, and an order no preset weighs
+ * keeps its weight. Insurance follows the presets, or else covers the new amount paid.
+ * @param {Object} order - Order in ShipStation format, with the remaining items and amounts
+ * @param {Object} settings - Sync settings from getSyncSettings, for the shipping presets
+ * @returns {Object} Order with updated weight and insuranceOptions
+ */
+function reweighOrder(order, settings) {
+  const { order: preset } = applyShippingPresets({ ...order, weight: null, insuranceOptions: null }, settings.shippingPresets);
+  const updated = { ...order };
+
+  if (order.items.length > 0 && order.items.every(item => item.weight?.value > 0 && OUNCES_PER_UNIT[item.weight.units])) {
+    const units = OUNCES_PER_UNIT[order.weight?.units] ? order.weight.units : order.items[0].weight.units;
+    const ounces = order.items.reduce((sum, item) =>
+      sum + item.weight.value * OUNCES_PER_UNIT[item.weight.units] * (item.quantity || 1), 0);
+    updated.weight = { value: Math.round(ounces / OUNCES_PER_UNIT[units] * 100) / 100, units };
+  } else if (preset.weight) {
+    updated.weight = preset.weight;
+  }
+
+  if (preset.insuranceOptions) {
+    updated.insuranceOptions = preset.insuranceOptions;
+  } else if (order.insuranceOptions?.insureShipment) {
+    updated.insuranceOptions = { ...order.insuranceOptions, insuredValue: Number(order.amountPaid) };
+  }
+  return updated;
+}
+
+/**
+ * Remove a cancelled Whatnot order's items and amounts from a ShipStation order
+ * @param {Object} shipstationOrder - Order as returned by the ShipStation API
+ * @param {Object} cancelledOrder - Whatnot order with `id`, `total`, `shippingPrice` and `taxation`
+ * @param {Object} [settings] - Sync settings from getSyncSettings, to convert the amounts into the store currency
+ *   and weigh the remaining items with the shipping presets
+ * @returns {Object} Order without the cancelled order's items, with reduced totals, weight and insurance
+ */
+export function removeWhatnotOrder(shipstationOrder, cancelledOrder, settings = {}) {
+  const { currency = DEFAULT_CURRENCY } = settings;
+  const toCents = amount => Math.round(Number(amount || 0) * 100);
+  const toStoreCents = cents => convertCents(cents || 0, getOrderCurrency(cancelledOrder), settings);
+  const previousShipping = toCents(shipstationOrder.shippingAmount);
+  const totalShipping = Math.max(0, previousShipping - toStoreCents(cancelledOrder.shippingPrice?.amount));
+
+  return reweighOrder({
+    ...shipstationOrder,
+    items: shipstationOrder.items.filter(item => item.sku !== cancelledOrder.id),
+    amountPaid: centsToDollars(Math.max(0, toCents(shipstationOrder.amountPaid) - toStoreCents(cancelledOrder.total?.amount))),
+    taxAmount: centsToDollars(Math.max(0, toCents(shipstationOrder.taxAmount) - toStoreCents(cancelledOrder.taxation?.amount))),
+    shippingAmount: centsToDollars(totalShipping),
+    internalNotes: getWhatnotOrderIds(shipstationOrder).filter(id => id !== cancelledOrder.id).join(','),
+    advancedOptions: updateShippingFields(shipstationOrder.advancedOptions, previousShipping, totalShipping, currency)
+  }, settings);
+}
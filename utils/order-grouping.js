@@ -1,19 +1,81 @@
-import { formatStreamId } from './formatting.js';
+import { createHash } from 'crypto';
+import { getStreamParts } from './formatting.js';
+import { renderTemplate } from './templates.js';
+import { DEFAULT_CURRENCY, getOrderCurrency } from './currency.js';
+
+// Short codes and labels for Whatnot sales channels
+const SALES_CHANNELS = {
+  LIVESTREAM: { code: 'LS', label: 'Livestream' },
+  MARKETPLACE: { code: 'MKT', label: 'Marketplace' },
+  BUY_IT_NOW: { code: 'BIN', label: 'Buy It Now' }
+};
+
+/**
+ * Check whether an order was sold in a livestream
+ * @param {Object} order - Whatnot order
+ * @returns {boolean} True if the order has a livestream reference
+ */
+export function isLivestreamOrder(order) {
+  return Boolean(order.salesChannel?.reference);
+}
+
+/**
+ * Get the sales channel an order was sold through
+ * @param {Object} order - Whatnot order
+ * @returns {{type: string, code: string, label: string}} Channel type, short code and display label
+ */
+export function getSalesChannel(order) {
+  const type = order.salesChannel?.type || 'UNKNOWN';
+  const known = SALES_CHANNELS[type];
+  if (known) {
+    return { type, ...known };
+  }
+
+  return {
+    type,
+    code: type.replace(/[^A-Z]/g, '').slice(0, 3) || 'OTH',
+    label: type.toLowerCase().split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+  };
+}
+
+/**
+ * Get the key of the stream an order belongs to. Orders without a livestream
+ * reference are grouped per sales channel per day, as a stand-in stream.
+ * @param {Object} order - Whatnot order
+ * @param {string} [timeZone] - Timezone days are counted in
+ * @returns {string} Stream key
+ */
+function getStreamRef(order, timeZone) {
+  if (isLivestreamOrder(order)) {
+    return order.salesChannel.reference;
+  }
+  const { streamDate } = getStreamParts(order.createdAt, timeZone);
+  return `${getSalesChannel(order).type}:${streamDate}`;
+}
 
 /**
  * Groups orders by stream reference and extracts stream information
  * @param {Array} orders - Array of Whatnot orders
+ * @param {Object} [settings] - Sync settings from getSyncSettings (stream timezone and stream ID templates)
+ * @param {Map<string, {streamDate: string, streamHour: string}>} [streamSlots] - Slots of livestreams seen in
+ *   earlier runs, by livestream reference. These keep their slot; other streams take theirs from their first order.
  * @returns {Map} Map of stream references to stream information
  */
-export function getStreamInfo(orders) {
+export function getStreamInfo(orders, settings = {}, streamSlots = new Map()) {
+  const {
+    streamTimezone,
+    streamIdTemplate = '{streamDate}-{streamHour}',
+    channelStreamIdTemplate = '{channelCode}-{streamDate}',
+    accountName
+  } = settings;
+
   const streamGroups = new Map();
 
   // First, group orders by stream reference
   for (const order of orders) {
     if (order.cancelledAt) continue;
 
-    const streamRef = order.salesChannel.reference;
-    if (!streamRef) continue;
+    const streamRef = getStreamRef(order, streamTimezone);
 
     if (!streamGroups.has(streamRef)) {
       streamGroups.set(streamRef, []);
@@ -29,8 +91,21 @@ export function getStreamInfo(orders) {
     );
 
     const firstOrder = sortedOrders[0];
+    const channel = getSalesChannel(firstOrder);
+    const isLivestream = isLivestreamOrder(firstOrder);
+    const { streamDate, streamHour } = (isLivestream && streamSlots.get(streamRef)) ||
+      getStreamParts(firstOrder.createdAt, streamTimezone);
+
     streamInfo.set(streamRef, {
-      streamId: formatStreamId(firstOrder.createdAt),
+      streamId: isLivestream
+        ? renderTemplate(streamIdTemplate, { streamDate, streamHour, account: accountName })
+        : renderTemplate(channelStreamIdTemplate, { channelCode: channel.code, channel: channel.label, streamDate, account: accountName }),
+      streamDate,
+      streamHour: isLivestream ? streamHour : '',
+      // Stable part of the orderKey: the stream's hour slot, or the channel's day
+      streamSlot: isLivestream ? `${streamDate}-${streamHour}` : `${channel.code}-${streamDate}`,
+      channel: channel.label,
+      isLivestream,
       firstOrder,
       orders: sortedOrders
     });
@@ -39,32 +114,225 @@ export function getStreamInfo(orders) {
   return streamInfo;
 }
 
+// Common street words, shortened so spelling variants of an address group together
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  boulevard: 'blvd',
+  lane: 'ln',
+  court: 'ct',
+  place: 'pl',
+  apartment: 'apt',
+  suite: 'ste',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w'
+};
+
+/**
+ * Normalize a shipping address so the same address written differently compares equal
+ * @param {Object} address - Whatnot shipping address
+ * @returns {string} Normalized address
+ */
+export function normalizeAddress(address) {
+  const normalizePart = value => (value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(' ');
+
+  return [
+    normalizePart(address.line1),
+    normalizePart(address.line2),
+    normalizePart(address.city),
+    normalizePart(address.state),
+    (address.postalCode || '').replace(/\s/g, '').slice(0, 5).toLowerCase(),
+    normalizePart(address.countryCode)
+  ].join('|');
+}
+
+// Keys of the combined strategy: window start date, buyer, then an optional currency and follow-up suffix
+const COMBINED_KEY_PATTERN = /^wn-cmb-(\d{6})-(.+?)_(?:[A-Z]{3}_)?(?:-FU\d+)?$/;
+
+/**
+ * Count the calendar days between two YYMMDD dates
+ * @param {string} from - Earlier date
+ * @param {string} to - Later date
+ * @returns {number} Days from `from` to `to`
+ */
+function daysBetween(from, to) {
+  const toUtc = date => Date.UTC(2000 + Number(date.slice(0, 2)), Number(date.slice(2, 4)) - 1, Number(date.slice(4, 6)));
+  return Math.round((toUtc(to) - toUtc(from)) / (24 * 60 * 60 * 1000));
+}
+
 /**
- * Groups orders by stream and customer for consolidation
+ * Work out the combine window of each order for the combined strategy. A buyer's window
+ * starts on the day of their first order not covered by an earlier window, and covers
+ * that day and the next combineWindowDays - 1 calendar days in the stream timezone.
+ * Windows already in ShipStation are taken from their order keys, so later runs keep
+ * adding to them while they last.
+ * @param {Array<Object>} orders - Whatnot orders to group
+ * @param {Object} settings - Sync settings from getSyncSettings
+ * @param {Set<string>} knownOrderKeys - Order keys already in ShipStation
+ * @returns {Map<string, string>} Window start date (YYMMDD) by Whatnot order ID
+ */
+function getCombineWindows(orders, settings, knownOrderKeys) {
+  const { combineWindowDays = 7, streamTimezone, giveawayAction = 'merge' } = settings;
+
+  // Window start dates per buyer, oldest first
+  const windowsByBuyer = new Map();
+  const addWindow = (username, start) => {
+    const starts = windowsByBuyer.get(username) || [];
+    if (!starts.includes(start)) {
+      starts.push(start);
+      starts.sort();
+    }
+    windowsByBuyer.set(username, starts);
+  };
+  for (const key of knownOrderKeys) {
+    const match = COMBINED_KEY_PATTERN.exec(key);
+    if (match) {
+      addWindow(match[2], match[1]);
+    }
+  }
+
+  const windows = new Map();
+  const grouped = orders
+    .filter(order => !order.cancelledAt && !(order.isGiveaway && giveawayAction === 'skip'))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  for (const order of grouped) {
+    const username = order.customer.username;
+    const { streamDate } = getStreamParts(order.createdAt, streamTimezone);
+    let start = (windowsByBuyer.get(username) || []).find(candidate => {
+      const days = daysBetween(candidate, streamDate);
+      return days >= 0 && days < combineWindowDays;
+    });
+    if (!start) {
+      start = streamDate;
+      addWindow(username, start);
+    }
+    windows.set(order.id, start);
+  }
+  return windows;
+}
+
+/**
+ * Order key builders for each grouping strategy. Orders with the same key are
+ * consolidated, and the key is the ShipStation orderKey, so it must be stable
+ * across runs for ShipStation to stay idempotent. Keys use the stream's
+ * "YYMMDD-HHa/p" slot (or, for orders sold outside a livestream, the channel's
+ * "CODE-YYMMDD" day) rather than the templated stream ID for the same reason.
+ * A livestream's slot is saved the first time the stream is seen (see
+ * recordStreamSlots), so orders fetched in later runs get the same key.
+ */
+const ORDER_KEY_BUILDERS = {
+  stream: (order, streamSlot) => `wn-${streamSlot}-${order.customer.username}_`,
+  address: (order, streamSlot) => {
+    const addressHash = createHash('sha1')
+      .update(normalizeAddress(order.shippingAddress))
+      .digest('hex')
+      .slice(0, 10);
+    return `wn-${streamSlot}-a${addressHash}_`;
+  },
+  combined: (order, streamSlot, { combineWindows }) =>
+    `wn-cmb-${combineWindows.get(order.id)}-${order.customer.username}_`,
+  none: order => `wn-o-${order.id}`
+};
+
+/**
+ * Groups orders for consolidation using the account's grouping strategy, and
+ * reports the orders that were left out of every group and why
  * @param {Array} orders - Array of Whatnot orders
- * @returns {Array} Array of order groups, each containing a streamId and orders array
+ * @param {Object} [settings] - Sync settings from getSyncSettings
+ * @param {string} [settings.groupingStrategy] - stream (default), address, combined or none
+ * @param {number} [settings.combineWindowDays] - Window length in days for the combined strategy, counted from
+ *   the buyer's first order in the window
+ * @param {string} [settings.giveawayAction] - merge (default), skip or hold
+ * @param {string} [settings.streamTimezone] - Timezone stream IDs are formatted in
+ * @param {string} [settings.streamIdTemplate] - Template for stream IDs
+ * @param {string} [settings.channelStreamIdTemplate] - Template for the stream ID of orders sold outside a livestream
+ * @param {string} [settings.currency] - Store currency; orders in other currencies are grouped separately
+ * @param {Object} [options] - Partitioning options
+ * @param {Set<string>} [options.knownOrderKeys] - Order keys already in ShipStation; giveaway-only
+ *   groups with one of these keys are released instead of held, and the combined strategy keeps
+ *   adding to the windows they started
+ * @param {Map<string, Object>} [options.streamSlots] - Slots of livestreams seen in earlier runs, from getStreamSlots
+ * @returns {{groups: Array, dropped: Array<{order: Object, reason: string}>, held: Array}} Order groups, each containing
+ *   a streamId (with its streamDate and streamHour), sales channel label, currency, orderKey and orders array; dropped orders;
+ *   and giveaway-only groups held back until the buyer has a paid order
  */
-export function groupOrders(orders) {
-  const streamInfo = getStreamInfo(orders);
+export function partitionOrders(orders, settings = {}, options = {}) {
+  const { groupingStrategy = 'stream', giveawayAction = 'merge', currency: storeCurrency = DEFAULT_CURRENCY } = settings;
+  const { knownOrderKeys = new Set(), streamSlots = new Map() } = options;
+  const buildOrderKey = ORDER_KEY_BUILDERS[groupingStrategy];
+  if (!buildOrderKey) {
+    throw new Error(`Unknown grouping strategy: ${groupingStrategy}`);
+  }
+
+  const streamInfo = getStreamInfo(orders, settings, streamSlots);
+  const combineWindows = groupingStrategy === 'combined' ? getCombineWindows(orders, settings, knownOrderKeys) : null;
   const groupedOrders = new Map();
+  const dropped = [];
 
   for (const order of orders) {
-    if (order.cancelledAt) continue;
+    if (order.cancelledAt) {
+      dropped.push({ order, reason: 'Order is cancelled' });
+      continue;
+    }
 
-    const streamRef = order.salesChannel.reference;
-    if (!streamRef || !streamInfo.has(streamRef)) continue;
+    if (order.isGiveaway && giveawayAction === 'skip') {
+      dropped.push({ order, reason: 'Giveaway skipped (giveawayAction is skip)' });
+      continue;
+    }
 
-    const { streamId } = streamInfo.get(streamRef);
-    const key = `${streamId}:${order.customer.username}`;
+    const { streamId, streamDate, streamHour, streamSlot, channel, isLivestream } =
+      streamInfo.get(getStreamRef(order, settings.streamTimezone));
+    // Orders paid in another currency get their own group, so one order never mixes currencies.
+    // Store-currency keys are left unchanged to stay stable across runs.
+    const currency = getOrderCurrency(order);
+    const baseKey = buildOrderKey(order, streamSlot, { combineWindows });
+    const orderKey = currency === storeCurrency || groupingStrategy === 'none' ? baseKey : `${baseKey}${currency}_`;
 
-    if (!groupedOrders.has(key)) {
-      groupedOrders.set(key, {
+    if (!groupedOrders.has(orderKey)) {
+      groupedOrders.set(orderKey, {
         streamId,
+        streamDate,
+        streamHour,
+        channel,
+        isLivestream,
+        currency,
+        orderKey,
         orders: []
       });
     }
-    groupedOrders.get(key).orders.push(order);
+    groupedOrders.get(orderKey).orders.push(order);
+  }
+
+  const groups = [];
+  const held = [];
+  for (const group of groupedOrders.values()) {
+    const giveawayOnly = group.orders.every(order => order.isGiveaway);
+    if (giveawayAction === 'hold' && giveawayOnly && !knownOrderKeys.has(group.orderKey)) {
+      held.push(group);
+    } else {
+      groups.push(group);
+    }
   }
 
-  return Array.from(groupedOrders.values());
-}
\ No newline at end of file
+  return { groups, dropped, held };
+}
+
+/**
+ * Groups orders for consolidation using the account's grouping strategy
+ * @param {Array} orders - Array of Whatnot orders
+ * @param {Object} [settings] - Sync settings from getSyncSettings
+ * @returns {Array} Array of order groups, see partitionOrders
+ */
+export function groupOrders(orders, settings = {}) {
+  return partitionOrders(orders, settings).groups;
+}
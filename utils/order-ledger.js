@@ -0,0 +1,115 @@
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const LEDGER_PATH = join(__dirname, '../ledger');
+
+/**
+ * Load the ledger of Whatnot orders already pushed to ShipStation for an account
+ * @param {string} accountId - Account identifier
+ * @returns {Promise<Object>} Ledger with an `orders` map keyed by Whatnot order ID
+ */
+export async function loadLedger(accountId) {
+  try {
+    const ledgerFile = join(LEDGER_PATH, `${accountId}.json`);
+    const ledger = await readJsonFile(ledgerFile, { orders: {} });
+    console.log(`Loaded ledger for account ${accountId} (${Object.keys(ledger.orders).length} orders)`);
+    return ledger;
+  } catch (error) {
+    console.error(`Error loading ledger for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record Whatnot orders that were pushed to ShipStation
+ * @param {string} accountId - Account identifier
+ * @param {Array<Object>} entries - Ledger entries, each with a `whatnotOrderId`
+ * @returns {Promise<void>}
+ */
+export async function recordLedgerEntries(accountId, entries) {
+  try {
+    const ledgerFile = join(LEDGER_PATH, `${accountId}.json`);
+    const ledger = await readJsonFile(ledgerFile, { orders: {} });
+    const syncedAt = new Date().toISOString();
+
+    for (const entry of entries) {
+      ledger.orders[entry.whatnotOrderId] = { ...entry, syncedAt };
+    }
+    ledger.updatedAt = syncedAt;
+
+    await writeJsonFile(ledgerFile, ledger);
+    console.log(`Recorded ${entries.length} orders in ledger for account ${accountId}`);
+  } catch (error) {
+    console.error(`Error recording ledger entries for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update fields on existing ledger entries
+ * @param {string} accountId - Account identifier
+ * @param {Object<string, Object>} changes - Fields to set, keyed by Whatnot order ID
+ * @returns {Promise<void>}
+ */
+export async function updateLedgerEntries(accountId, changes) {
+  try {
+    const ledgerFile = join(LEDGER_PATH, `${accountId}.json`);
+    const ledger = await readJsonFile(ledgerFile, { orders: {} });
+
+    for (const [whatnotOrderId, fields] of Object.entries(changes)) {
+      if (ledger.orders[whatnotOrderId]) {
+        ledger.orders[whatnotOrderId] = { ...ledger.orders[whatnotOrderId], ...fields };
+      }
+    }
+    ledger.updatedAt = new Date().toISOString();
+
+    await writeJsonFile(ledgerFile, ledger);
+  } catch (error) {
+    console.error(`Error updating ledger entries for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Split orders into those not yet pushed to ShipStation and those already in the ledger
+ * @param {Object} ledger - Ledger loaded with loadLedger
+ * @param {Array<Object>} orders - Whatnot orders
+ * @returns {{pending: Array<Object>, synced: Array<Object>}} Partitioned orders
+ */
+export function partitionByLedger(ledger, orders) {
+  const pending = [];
+  const synced = [];
+
+  for (const order of orders) {
+    if (ledger.orders[order.id]) {
+      synced.push(order);
+    } else {
+      pending.push(order);
+    }
+  }
+
+  return { pending, synced };
+}
+
+/**
+ * Get the ShipStation order keys Whatnot orders in the ledger were pushed to
+ * @param {Object} ledger - Ledger loaded with loadLedger
+ * @returns {Set<string>} Order keys
+ */
+export function getLedgerOrderKeys(ledger) {
+  return new Set(Object.values(ledger.orders).map(entry => entry.orderKey).filter(Boolean));
+}
+
+/**
+ * Get the buyers with at least one order in the ledger
+ * @param {Object} ledger - Ledger loaded with loadLedger
+ * @returns {Set<string>} Lowercased Whatnot usernames
+ */
+export function getLedgerBuyers(ledger) {
+  return new Set(Object.values(ledger.orders).map(entry => entry.customerUsername?.toLowerCase()).filter(Boolean));
+}
@@ -0,0 +1,48 @@
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SEQUENCES_PATH = join(__dirname, '../sequences');
+
+/**
+ * Get the {seq} number of each orderKey for an account. An orderKey keeps the
+ * number it was first given, so order numbers built from it stay the same across runs.
+ * @param {string} accountId - Account identifier
+ * @param {Array<string>} orderKeys - Order keys to number
+ * @param {Object} [options] - Numbering options
+ * @param {boolean} [options.reserve=true] - Save newly assigned numbers; false only looks ahead (for previews)
+ * @returns {Promise<Map<string, number>>} Sequence numbers by orderKey
+ */
+export async function getSequenceNumbers(accountId, orderKeys, options = {}) {
+  const { reserve = true } = options;
+
+  try {
+    const sequenceFile = join(SEQUENCES_PATH, `${accountId}.json`);
+    const sequences = await readJsonFile(sequenceFile, { next: 1, orderKeys: {} });
+    const numbers = new Map();
+    let assigned = 0;
+
+    for (const orderKey of orderKeys) {
+      if (!sequences.orderKeys[orderKey]) {
+        sequences.orderKeys[orderKey] = sequences.next++;
+        assigned++;
+      }
+      numbers.set(orderKey, sequences.orderKeys[orderKey]);
+    }
+
+    if (reserve && assigned > 0) {
+      sequences.updatedAt = new Date().toISOString();
+      await writeJsonFile(sequenceFile, sequences);
+      console.log(`Assigned ${assigned} sequence numbers for account ${accountId}`);
+    }
+
+    return numbers;
+  } catch (error) {
+    console.error(`Error assigning sequence numbers for account ${accountId}:`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,72 @@
+import { isInternationalOrder } from './customs.js';
+
+const toCents = amount => Math.round(Number(amount || 0) * 100);
+
+/**
+ * Conditions a tag rule can use. Each gets the tagging context for a saved order
+ * and the rule, and returns whether the order gets the rule's tag.
+ * - account: every order of the account
+ * - giveaway: the order contains a giveaway
+ * - highValue: the order's amount paid (store currency) is at least `amount`
+ * - firstTimeBuyer: the buyer has no earlier orders synced for the account
+ * - international: the order ships outside the domestic country
+ * - merged: the order combines several Whatnot orders
+ * - addressHold: the order was created on hold for address review
+ * - customsHold: the order was created on hold for missing customs data
+ */
+const TAG_CONDITIONS = {
+  account: () => true,
+  giveaway: ({ orderGroup }) => orderGroup.orders.some(order => order.isGiveaway),
+  highValue: ({ shipstationOrder }, rule) => toCents(shipstationOrder.amountPaid) >= Math.round(rule.amount * 100),
+  firstTimeBuyer: ({ orderGroup, knownBuyers }) => !knownBuyers.has(orderGroup.orders[0].customer.username.toLowerCase()),
+  international: ({ orderGroup }) => isInternationalOrder(orderGroup.orders[0]),
+  merged: ({ orderGroup, merged }) => merged || orderGroup.orders.length > 1,
+  addressHold: ({ orderGroup }) => orderGroup.orders.some(order => order.addressHold?.length > 0),
+  customsHold: ({ orderGroup }) => orderGroup.orders.some(order => order.customsHold?.length > 0)
+};
+
+export const TAG_CONDITION_NAMES = Object.keys(TAG_CONDITIONS);
+
+/**
+ * Check an account's tag rules
+ * @param {Array<Object>} tagRules - Rules such as { "when": "highValue", "amount": 100, "tag": "High value" }
+ * @returns {Array<string>} Problems found, empty if every rule is valid
+ */
+export function validateTagRules(tagRules) {
+  if (!Array.isArray(tagRules)) {
+    return ['must be a list of rules'];
+  }
+
+  const errors = [];
+  tagRules.forEach((rule, index) => {
+    if (!TAG_CONDITIONS[rule?.when]) {
+      errors.push(`rule ${index + 1} has unknown condition "${rule?.when}" (use one of: ${TAG_CONDITION_NAMES.join(', ')})`);
+    }
+    if (typeof rule?.tag !== 'string' || !rule.tag.trim()) {
+      errors.push(`rule ${index + 1} needs the name of a ShipStation tag`);
+    }
+    if (rule?.when === 'highValue' && !(typeof rule.amount === 'number' && rule.amount > 0)) {
+      errors.push(`rule ${index + 1} needs an amount above 0, in the store currency`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Get the names of the tags a saved order gets from an account's tag rules and
+ * from the hold and tag validation rules that fired for its orders
+ * @param {Array<Object>} tagRules - Tag rules from getSyncSettings
+ * @param {Object} context - Tagging context
+ * @param {Object} context.orderGroup - Whatnot orders written to the order, after OrderValidator.validateOrder
+ * @param {Object} context.shipstationOrder - Order as saved in ShipStation
+ * @param {boolean} context.merged - True if the group was merged into an existing order
+ * @param {Set<string>} context.knownBuyers - Lowercased usernames of buyers with earlier orders
+ * @returns {Array<string>} Tag names, without duplicates
+ */
+export function getTagNames(tagRules, context) {
+  const ruleTags = context.orderGroup.orders
+    .flatMap(order => order.firedRules || [])
+    .filter(fired => fired.tag && (fired.action === 'hold' || fired.action === 'tag'))
+    .map(fired => fired.tag);
+  return [...new Set([...tagRules.filter(rule => TAG_CONDITIONS[rule.when](context, rule)).map(rule => rule.tag), ...ruleTags])];
+}
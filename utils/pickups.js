@@ -0,0 +1,159 @@
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+import { getStreamInfo } from './order-grouping.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PICKUPS_PATH = join(__dirname, '../pickups');
+
+/**
+ * Load the pickup list of an account
+ * @param {string} accountId - Account identifier
+ * @returns {Promise<Array<Object>>} Pickup entries, oldest first
+ */
+export async function loadPickups(accountId) {
+  try {
+    const pickupFile = join(PICKUPS_PATH, `${accountId}.json`);
+    const { orders } = await readJsonFile(pickupFile, { orders: {} });
+    return Object.values(orders).sort((a, b) => new Date(a.orderedAt) - new Date(b.orderedAt));
+  } catch (error) {
+    console.error(`Error loading pickups for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add Whatnot orders to be picked up in person to an account's pickup list.
+ * Orders already on the list keep their entry, including any pickup record.
+ * @param {string} accountId - Account identifier
+ * @param {Array<Object>} orders - Whatnot pickup orders
+ * @param {Object} [settings] - Sync settings from getSyncSettings, for stream IDs
+ * @param {string} [jobRun] - Identifier of the sync run
+ * @returns {Promise<number>} Number of orders added
+ */
+export async function recordPickupOrders(accountId, orders, settings = {}, jobRun = null) {
+  try {
+    const pickupFile = join(PICKUPS_PATH, `${accountId}.json`);
+    const pickups = await readJsonFile(pickupFile, { orders: {} });
+    const addedAt = new Date().toISOString();
+    let added = 0;
+
+    for (const stream of getStreamInfo(orders, settings).values()) {
+      for (const order of stream.orders) {
+        if (pickups.orders[order.id]) {
+          continue;
+        }
+
+        pickups.orders[order.id] = {
+          whatnotOrderId: order.id,
+          streamId: stream.streamId,
+          channel: stream.channel,
+          customerUsername: order.customer.username,
+          customerName: order.shippingAddress?.fullName || order.customer.displayName || null,
+          items: order.items.edges.map(edge => ({
+            name: edge.node.product?.title || 'Whatnot Item',
+            quantity: edge.node.quantity
+          })),
+          orderedAt: order.createdAt,
+          addedAt,
+          jobRun,
+          pickedUpAt: null,
+          pickedUpBy: null
+        };
+        added++;
+      }
+    }
+
+    pickups.updatedAt = addedAt;
+    await writeJsonFile(pickupFile, pickups);
+    console.log(`Added ${added} orders to the pickup list for account ${accountId}`);
+    return added;
+  } catch (error) {
+    console.error(`Error recording pickup orders for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record that an order on the pickup list was picked up
+ * @param {string} accountId - Account identifier
+ * @param {string} whatnotOrderId - Whatnot order ID
+ * @param {string} pickedUpBy - Name of the staff member who handed the order over
+ * @returns {Promise<Object|null>} The updated entry, or null if the order is not on the list
+ */
+export async function markPickedUp(accountId, whatnotOrderId, pickedUpBy) {
+  try {
+    const pickupFile = join(PICKUPS_PATH, `${accountId}.json`);
+    const pickups = await readJsonFile(pickupFile, { orders: {} });
+    const entry = pickups.orders[whatnotOrderId];
+    if (!entry) {
+      return null;
+    }
+
+    entry.pickedUpAt = new Date().toISOString();
+    entry.pickedUpBy = pickedUpBy;
+    pickups.updatedAt = entry.pickedUpAt;
+
+    await writeJsonFile(pickupFile, pickups);
+    console.log(`Order ${whatnotOrderId} for account ${accountId} picked up (handed over by ${pickedUpBy})`);
+    return entry;
+  } catch (error) {
+    console.error(`Error marking order ${whatnotOrderId} picked up for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Render a printable pickup roster, one row per order, grouped by buyer
+ * @param {string} accountId - Account identifier
+ * @param {Array<Object>} entries - Pickup entries from loadPickups
+ * @param {string} [streamId] - Stream the roster is for, shown in the title
+ * @returns {string} HTML page
+ */
+export function pickupRosterToHtml(accountId, entries, streamId = null) {
+  const escape = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const title = `Pickup roster: ${accountId}${streamId ? ` - ${streamId}` : ''}`;
+  const sorted = [...entries].sort((a, b) => a.customerUsername.localeCompare(b.customerUsername));
+  const rows = sorted.map(entry => `
+      <tr>
+        <td class="check">${entry.pickedUpAt ? '&#10003;' : '&#9744;'}</td>
+        <td>${escape(entry.customerUsername)}<br><small>${escape(entry.customerName)}</small></td>
+        <td>${entry.items.map(item => `${escape(item.quantity)} &times; ${escape(item.name)}`).join('<br>')}</td>
+        <td>${escape(entry.streamId)}<br><small>${escape(entry.whatnotOrderId)}</small></td>
+        <td>${entry.pickedUpAt ? `${escape(entry.pickedUpBy)}<br><small>${escape(new Date(entry.pickedUpAt).toLocaleString())}</small>` : ''}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escape(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 0.4rem; text-align: left; vertical-align: top; }
+    td.check { font-size: 1.4rem; text-align: center; width: 2rem; }
+    small { color: #555; }
+  </style>
+</head>
+<body onload="window.print()">
+  <h1>${escape(title)}</h1>
+  <p>${sorted.length} orders, ${sorted.filter(entry => !entry.pickedUpAt).length} waiting. Printed ${escape(new Date().toLocaleString())}.</p>
+  <table>
+    <thead>
+      <tr><th></th><th>Buyer</th><th>Items</th><th>Stream / order</th><th>Picked up</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>`;
+}
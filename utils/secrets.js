@@ -0,0 +1,80 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+
+// Encrypted values look like "enc:v1:<iv>:<auth tag>:<ciphertext>", each part base64
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+// Fixed salt: the key only has to be reproducible from SECRETS_MASTER_KEY
+const KEY_SALT = 'whatnot-shipstation-secrets';
+
+let cachedKey = null;
+let cachedMasterKey = null;
+
+/**
+ * Check whether a master key for encrypting secrets is configured
+ * @returns {boolean} True if SECRETS_MASTER_KEY is set
+ */
+export function hasMasterKey() {
+  return Boolean(process.env.SECRETS_MASTER_KEY);
+}
+
+/**
+ * Derive the encryption key from SECRETS_MASTER_KEY
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} If SECRETS_MASTER_KEY is not set
+ */
+function getKey() {
+  const masterKey = process.env.SECRETS_MASTER_KEY;
+  if (!masterKey) {
+    throw new Error('SECRETS_MASTER_KEY must be set to encrypt or decrypt stored tokens');
+  }
+  if (masterKey !== cachedMasterKey) {
+    cachedKey = scryptSync(masterKey, KEY_SALT, 32);
+    cachedMasterKey = masterKey;
+  }
+  return cachedKey;
+}
+
+/**
+ * Check whether a value was produced by encryptSecret
+ * @param {*} value - Stored value
+ * @returns {boolean} True if the value is an encrypted secret
+ */
+export function isEncryptedSecret(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX) && value.split(':').length === 5;
+}
+
+/**
+ * Encrypt a secret with AES-256-GCM under the master key
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} Encrypted secret
+ */
+export function encryptSecret(plaintext) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {string} value - Encrypted secret
+ * @returns {string} Plaintext secret
+ * @throws {Error} If the value is malformed or was encrypted under another master key
+ */
+export function decryptSecret(value) {
+  if (!isEncryptedSecret(value)) {
+    throw new Error('Value is not an encrypted secret');
+  }
+
+  const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  try {
+    const decipher = createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (error) {
+    // The underlying error says nothing useful and the message must not carry key material
+    throw new Error('Could not decrypt secret; check that SECRETS_MASTER_KEY is the key it was encrypted with');
+  }
+}
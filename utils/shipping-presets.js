@@ -0,0 +1,195 @@
+import { DOMESTIC_COUNTRY } from './customs.js';
+
+// Values ShipStation accepts for the order fields presets can set
+export const CONFIRMATION_TYPES = ['none', 'delivery', 'signature', 'adult_signature', 'direct_signature'];
+export const WEIGHT_UNITS = ['pounds', 'ounces', 'grams'];
+export const DIMENSION_UNITS = ['inches', 'centimeters'];
+export const INSURANCE_PROVIDERS = ['carrier', 'shipsurance', 'provider', 'xcover', 'parcelguard'];
+
+const STRING_FIELDS = ['carrierCode', 'serviceCode', 'packageCode', 'requestedShippingService'];
+const CONDITIONS = ['minItems', 'maxItems', 'minValue', 'maxValue', 'countries', 'international', 'keywords'];
+const FIELDS = [...STRING_FIELDS, 'confirmation', 'weight', 'dimensions', 'insure', 'insuranceProvider'];
+
+const isPositive = value => typeof value === 'number' && value > 0;
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Check a preset's `when` conditions
+ * @param {Object} when - Conditions
+ * @returns {Array<string>} Problems found
+ */
+function validateConditions(when) {
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    return ['when must be an object of conditions'];
+  }
+
+  const errors = Object.keys(when)
+    .filter(key => !CONDITIONS.includes(key))
+    .map(key => `has unknown condition "${key}" (use: ${CONDITIONS.join(', ')})`);
+  for (const key of ['minItems', 'maxItems']) {
+    if (when[key] !== undefined && !isCount(when[key])) {
+      errors.push(`${key} must be a whole number`);
+    }
+  }
+  for (const key of ['minValue', 'maxValue']) {
+    if (when[key] !== undefined && !(typeof when[key] === 'number' && when[key] >= 0)) {
+      errors.push(`${key} must be an amount in the store currency`);
+    }
+  }
+  if (when.countries !== undefined && !(Array.isArray(when.countries) && when.countries.every(code => /^[A-Z]{2}$/.test(code)))) {
+    errors.push('countries must be a list of two-letter codes such as US');
+  }
+  if (when.international !== undefined && typeof when.international !== 'boolean') {
+    errors.push('international must be true or false');
+  }
+  if (when.keywords !== undefined && !(Array.isArray(when.keywords) && when.keywords.length > 0 && when.keywords.every(k => typeof k === 'string'))) {
+    errors.push('keywords must be a non-empty list of words');
+  }
+  return errors;
+}
+
+/**
+ * Check the order fields a preset sets
+ * @param {Object} set - Order fields
+ * @returns {Array<string>} Problems found
+ */
+function validateFields(set) {
+  if (!set || typeof set !== 'object' || Array.isArray(set) || Object.keys(set).length === 0) {
+    return ['set must be an object with at least one field'];
+  }
+
+  const errors = Object.keys(set)
+    .filter(key => !FIELDS.includes(key))
+    .map(key => `sets unknown field "${key}" (use: ${FIELDS.join(', ')})`);
+  for (const key of STRING_FIELDS) {
+    if (set[key] !== undefined && (typeof set[key] !== 'string' || !set[key].trim())) {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  }
+  if (set.confirmation !== undefined && !CONFIRMATION_TYPES.includes(set.confirmation)) {
+    errors.push(`confirmation "${set.confirmation}" is invalid (use one of: ${CONFIRMATION_TYPES.join(', ')})`);
+  }
+  if (set.weight !== undefined && !(isPositive(set.weight?.value) && WEIGHT_UNITS.includes(set.weight?.units))) {
+    errors.push(`weight needs a value above 0 and units (${WEIGHT_UNITS.join(', ')})`);
+  }
+  if (set.dimensions !== undefined &&
+    !(['length', 'width', 'height'].every(key => isPositive(set.dimensions?.[key])) && DIMENSION_UNITS.includes(set.dimensions?.units))) {
+    errors.push(`dimensions need length, width and height above 0 and units (${DIMENSION_UNITS.join(', ')})`);
+  }
+  if (set.insure !== undefined && typeof set.insure !== 'boolean') {
+    errors.push('insure must be true or false');
+  }
+  if (set.insuranceProvider !== undefined && !INSURANCE_PROVIDERS.includes(set.insuranceProvider)) {
+    errors.push(`insuranceProvider "${set.insuranceProvider}" is invalid (use one of: ${INSURANCE_PROVIDERS.join(', ')})`);
+  }
+  return errors;
+}
+
+/**
+ * Check an account's shipping presets
+ * @param {Array<Object>} presets - Presets such as
+ *   { "name": "Insured", "when": { "minValue": 200 }, "set": { "confirmation": "signature", "insure": true } }
+ * @returns {Array<string>} Problems found, empty if every preset is valid
+ */
+export function validateShippingPresets(presets) {
+  if (!Array.isArray(presets)) {
+    return ['must be a list of presets'];
+  }
+
+  return presets.flatMap((preset, index) => {
+    const label = `preset "${preset?.name || index + 1}"`;
+    const nameErrors = typeof preset?.name === 'string' && preset.name.trim() ? [] : ['needs a name'];
+    return [...nameErrors, ...validateConditions(preset?.when ?? {}), ...validateFields(preset?.set)]
+      .map(error => `${label} ${error}`);
+  });
+}
+
+/**
+ * Check whether a ShipStation order meets a preset's conditions
+ * @param {Object} order - Order in ShipStation format
+ * @param {Object} when - Preset conditions; an empty object matches every order
+ * @returns {boolean} True if every condition holds
+ */
+function meetsConditions(order, when = {}) {
+  const itemCount = order.items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+  const value = Number(order.amountPaid || 0);
+  const country = (order.shipTo?.country || DOMESTIC_COUNTRY).toUpperCase();
+  const titles = order.items.map(item => (item.name || '').toLowerCase());
+
+  return (when.minItems === undefined || itemCount >= when.minItems) &&
+    (when.maxItems === undefined || itemCount <= when.maxItems) &&
+    (when.minValue === undefined || value >= when.minValue) &&
+    (when.maxValue === undefined || value <= when.maxValue) &&
+    (when.countries === undefined || when.countries.includes(country)) &&
+    (when.international === undefined || when.international === (country !== DOMESTIC_COUNTRY)) &&
+    (when.keywords === undefined || when.keywords.some(keyword => titles.some(title => title.includes(keyword.toLowerCase()))));
+}
+
+/**
+ * Check whether a ShipStation order field still has its empty value. ShipStation returns
+ * a zero weight, "none" confirmation and uninsured insuranceOptions for fields never set.
+ * @param {Object} order - Order in ShipStation format
+ * @param {string} field - Order field
+ * @returns {boolean} True if nobody has set the field
+ */
+function isUnset(order, field) {
+  const value = order[field];
+  if (value === null || value === undefined) {
+    return true;
+  }
+  if (field === 'weight') {
+    return !isPositive(value.value);
+  }
+  if (field === 'confirmation') {
+    return value === 'none';
+  }
+  if (field === 'insuranceOptions') {
+    return !value.insureShipment;
+  }
+  return false;
+}
+
+/**
+ * Apply an account's shipping presets to a ShipStation order. Every matching preset
+ * applies, in order, so a later preset overrides fields set by an earlier one.
+ * @param {Object} order - Order in ShipStation format
+ * @param {Array<Object>} presets - Shipping presets from getSyncSettings
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fillUnset] - Only set fields the order does not have yet, for existing
+ *   orders a packer may already have changed in ShipStation
+ * @returns {{order: Object, matched: Array<string>}} Order with the preset fields set, and the names of the matching presets
+ */
+export function applyShippingPresets(order, presets = [], options = {}) {
+  const matched = presets.filter(preset => meetsConditions(order, preset.when));
+  if (matched.length === 0) {
+    return { order, matched: [] };
+  }
+
+  const { insure, insuranceProvider = 'carrier', ...fields } = Object.assign({}, ...matched.map(preset => preset.set));
+  if (insure) {
+    fields.insuranceOptions = { provider: insuranceProvider, insureShipment: true, insuredValue: Number(order.amountPaid || 0) };
+  } else if (insure === false) {
+    fields.insuranceOptions = { provider: insuranceProvider, insureShipment: false, insuredValue: 0 };
+  }
+
+  const applied = options.fillUnset
+    ? Object.fromEntries(Object.entries(fields).filter(([field]) => isUnset(order, field)))
+    : fields;
+  return { order: { ...order, ...applied }, matched: matched.map(preset => preset.name) };
+}
+
+/**
+ * Build a ShipStation-format order from a sample, for trying presets out
+ * @param {Object} sample - Sample order
+ * @param {Array<{name: string, quantity: number}>} sample.items - Items
+ * @param {number} sample.value - Amount paid, in the store currency
+ * @param {string} [sample.country] - Destination country code (default: the domestic country)
+ * @returns {Object} Order in ShipStation format
+ */
+export function buildSampleOrder({ items = [], value = 0, country = DOMESTIC_COUNTRY }) {
+  return {
+    items: items.map(item => ({ name: String(item.name || ''), quantity: Number(item.quantity) || 1 })),
+    amountPaid: Number(value || 0).toFixed(2),
+    shipTo: { country: String(country).toUpperCase() }
+  };
+}
@@ -0,0 +1,248 @@
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { formatInTimeZone } from 'date-fns-tz';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+import { getStreamInfo } from './order-grouping.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const STREAM_STATE_PATH = join(__dirname, '../stream_state');
+
+// Finished streams with nothing deferred or held are forgotten after this many days
+const STREAM_STATE_RETENTION_DAYS = 30;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Load the livestream state of an account. Streams are keyed by their Whatnot
+ * livestream reference; each entry has the templated `streamId`, the `streamDate`
+ * and `streamHour` of the stream's order key slot, `newestOrderAt`,
+ * `finishedAt` and `finishedBy` (set when marked finished), `deferred` Whatnot orders
+ * and `heldOrders` (ShipStation orders on hold until the stream finishes).
+ * @param {string} accountId - Account identifier
+ * @returns {Promise<Object>} State with a `streams` object
+ */
+export async function loadStreamState(accountId) {
+  try {
+    return await readJsonFile(join(STREAM_STATE_PATH, `${accountId}.json`), { streams: {} });
+  } catch (error) {
+    console.error(`Error loading stream state for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get when a stream counts as finished: when it was marked finished, or once its
+ * newest order is `streamFinishedAfterHours` old
+ * @param {Object} entry - Stream entry with `newestOrderAt` and `finishedAt`
+ * @param {Object} settings - Sync settings from getSyncSettings
+ * @returns {Date} Time the stream finishes or finished
+ */
+export function getStreamClosesAt(entry, settings) {
+  if (entry.finishedAt) {
+    return new Date(entry.finishedAt);
+  }
+  return new Date(new Date(entry.newestOrderAt).getTime() + settings.streamFinishedAfterHours * HOUR_MS);
+}
+
+/**
+ * Get the order key slots of the livestreams seen in earlier runs
+ * @param {Object} streamState - State from loadStreamState
+ * @returns {Map<string, {streamDate: string, streamHour: string}>} Slots by livestream reference
+ */
+export function getStreamSlots(streamState) {
+  return new Map(Object.values(streamState.streams)
+    .filter(entry => entry.streamDate)
+    .map(entry => [entry.ref, { streamDate: entry.streamDate, streamHour: entry.streamHour }]));
+}
+
+/**
+ * Save the order key slot of livestreams seen for the first time. The slot comes from
+ * the stream's first order in the run, so a stream keeps the slot of the first run
+ * that saw it and its later orders group under the same order keys.
+ * @param {string} accountId - Account identifier
+ * @param {Array<Object>} orders - Whatnot orders about to be grouped
+ * @param {Object} settings - Sync settings from getSyncSettings
+ * @returns {Promise<Object>} The saved state
+ */
+export async function recordStreamSlots(accountId, orders, settings) {
+  try {
+    const state = await loadStreamState(accountId);
+    const updatedAt = new Date().toISOString();
+    let added = 0;
+
+    for (const [ref, info] of getStreamInfo(orders, settings, getStreamSlots(state))) {
+      if (!info.isLivestream || state.streams[ref]?.streamDate) {
+        continue;
+      }
+      const entry = state.streams[ref] || {
+        ref,
+        streamId: info.streamId,
+        newestOrderAt: info.orders[info.orders.length - 1].createdAt,
+        finishedAt: null,
+        finishedBy: null,
+        deferred: [],
+        heldOrders: []
+      };
+      state.streams[ref] = { ...entry, streamDate: info.streamDate, streamHour: info.streamHour, updatedAt };
+      added++;
+    }
+
+    if (added > 0) {
+      await writeJsonFile(join(STREAM_STATE_PATH, `${accountId}.json`), state);
+    }
+    return state;
+  } catch (error) {
+    console.error(`Error saving stream slots for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the Whatnot orders deferred in earlier runs that are not already in a list of orders.
+ * These are copies from when the orders were deferred; fetch the current orders before use.
+ * @param {Object} streamState - State from loadStreamState
+ * @param {Array<Object>} orders - Whatnot orders fetched in this run
+ * @returns {Array<Object>} Deferred orders missing from `orders`
+ */
+export function getDeferredOrders(streamState, orders) {
+  const orderIds = new Set(orders.map(order => order.id));
+  return Object.values(streamState.streams)
+    .flatMap(entry => entry.deferred || [])
+    .filter(order => !orderIds.has(order.id));
+}
+
+/**
+ * Split orders by whether their livestream has finished. Orders sold outside a
+ * livestream are always ready.
+ * @param {Array<Object>} orders - Whatnot orders
+ * @param {Object} streamState - State from loadStreamState
+ * @param {Object} settings - Sync settings from getSyncSettings
+ * @param {Date} [now] - Current time
+ * @returns {{ready: Array<Object>, open: Map<string, Object>, seen: Map<string, Object>}} Orders of finished
+ *   streams; open streams by reference, each with `streamId`, `orders`, `newestOrderAt` and `closesAt`; and the
+ *   `streamId` and `newestOrderAt` of every livestream seen
+ */
+export function splitByStreamCompletion(orders, streamState, settings, now = new Date()) {
+  const ready = [];
+  const open = new Map();
+  const seen = new Map();
+
+  for (const [ref, info] of getStreamInfo(orders, settings, getStreamSlots(streamState))) {
+    if (!info.isLivestream) {
+      ready.push(...info.orders);
+      continue;
+    }
+
+    const entry = streamState.streams[ref] || {};
+    const newestOrderAt = [entry.newestOrderAt, ...info.orders.map(order => order.createdAt)]
+      .filter(Boolean)
+      .reduce((newest, time) => new Date(time) > new Date(newest) ? time : newest);
+    seen.set(ref, { streamId: info.streamId, newestOrderAt });
+
+    const closesAt = getStreamClosesAt({ ...entry, newestOrderAt }, settings);
+    if (closesAt <= now) {
+      ready.push(...info.orders);
+    } else {
+      open.set(ref, { streamId: info.streamId, orders: info.orders, newestOrderAt, closesAt });
+    }
+  }
+
+  // getStreamInfo leaves out cancelled orders; they are ready so grouping can drop them
+  const grouped = new Set([...ready, ...Array.from(open.values()).flatMap(stream => stream.orders)]);
+  ready.push(...orders.filter(order => !grouped.has(order)));
+
+  return { ready, open, seen };
+}
+
+/**
+ * Get the date to pass to ShipStation's holdUntil for an open stream: the day after it
+ * is expected to finish, in the stream timezone, so the hold cannot lapse mid-stream
+ * @param {Date} closesAt - Time the stream is expected to finish
+ * @param {Object} settings - Sync settings from getSyncSettings
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function getHoldUntilDate(closesAt, settings) {
+  return formatInTimeZone(new Date(closesAt.getTime() + 24 * HOUR_MS), settings.streamTimezone, 'yyyy-MM-dd');
+}
+
+/**
+ * Save what a sync run learned about an account's livestreams
+ * @param {string} accountId - Account identifier
+ * @param {Object} changes - Changes from the run
+ * @param {Map<string, Object>} [changes.seen] - Streams seen, from splitByStreamCompletion
+ * @param {Map<string, Array<Object>>} [changes.deferred] - Orders deferred per stream reference. Every deferred
+ *   order is checked again on each run, so the deferred orders of every other stream were created or dropped
+ *   and are cleared
+ * @param {Map<string, Array<Object>>} [changes.held] - ShipStation orders put on hold per stream reference,
+ *   each with `shipstationOrderId` and `orderNumber`
+ * @param {Array<string>} [changes.released] - Stream references whose held orders were released
+ * @param {string} [jobRun] - Identifier of the sync run
+ * @returns {Promise<Object>} The saved state
+ */
+export async function updateStreamState(accountId, changes, jobRun = null) {
+  const { seen = new Map(), deferred = new Map(), held = new Map(), released = [] } = changes;
+  try {
+    const state = await loadStreamState(accountId);
+    const updatedAt = new Date().toISOString();
+
+    for (const entry of Object.values(state.streams)) {
+      entry.deferred = [];
+    }
+
+    for (const [ref, { streamId, newestOrderAt }] of seen) {
+      const entry = state.streams[ref] || { ref, streamId, finishedAt: null, finishedBy: null, deferred: [], heldOrders: [] };
+      state.streams[ref] = { ...entry, streamId, newestOrderAt, deferred: deferred.get(ref) || [], updatedAt, jobRun };
+    }
+
+    for (const [ref, orders] of held) {
+      const entry = state.streams[ref];
+      const known = new Set(entry.heldOrders.map(hold => hold.shipstationOrderId));
+      entry.heldOrders.push(...orders.filter(hold => !known.has(hold.shipstationOrderId)));
+    }
+
+    for (const ref of released) {
+      state.streams[ref].heldOrders = [];
+    }
+
+    const cutoff = Date.now() - STREAM_STATE_RETENTION_DAYS * 24 * HOUR_MS;
+    for (const [ref, entry] of Object.entries(state.streams)) {
+      if (entry.deferred.length === 0 && entry.heldOrders.length === 0 && new Date(entry.newestOrderAt).getTime() < cutoff) {
+        delete state.streams[ref];
+      }
+    }
+
+    await writeJsonFile(join(STREAM_STATE_PATH, `${accountId}.json`), state);
+    return state;
+  } catch (error) {
+    console.error(`Error saving stream state for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a livestream as finished, so its orders are created on the next sync
+ * @param {string} accountId - Account identifier
+ * @param {string} stream - Stream ID or Whatnot livestream reference
+ * @param {string} [finishedBy] - Who marked the stream finished
+ * @returns {Promise<Object|null>} The stream entry, or null if the stream is not known
+ */
+export async function markStreamFinished(accountId, stream, finishedBy = null) {
+  try {
+    const state = await loadStreamState(accountId);
+    const entry = state.streams[stream] || Object.values(state.streams).find(candidate => candidate.streamId === stream);
+    if (!entry) {
+      return null;
+    }
+
+    entry.finishedAt = entry.finishedAt || new Date().toISOString();
+    entry.finishedBy = entry.finishedBy || finishedBy;
+    await writeJsonFile(join(STREAM_STATE_PATH, `${accountId}.json`), state);
+    return entry;
+  } catch (error) {
+    console.error(`Error marking stream ${stream} finished for account ${accountId}:`, error);
+    throw error;
+  }
+}
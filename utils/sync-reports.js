@@ -0,0 +1,119 @@
+import { readdir } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const REPORTS_PATH = join(__dirname, '../sync_reports');
+
+// What can happen to a fetched order during a sync
+export const DISPOSITIONS = ['created', 'merged', 'held', 'deferred', 'pickup', 'invalid', 'dropped', 'failed'];
+
+const CSV_COLUMNS = ['whatnotOrderId', 'disposition', 'reason', 'rules', 'customerUsername', 'streamId', 'orderNumber', 'shipstationOrderId', 'rechecked'];
+
+/**
+ * Count a report's orders by disposition
+ * @param {Array<Object>} orders - Per-order dispositions
+ * @returns {Object} Number of orders per disposition
+ */
+export function countDispositions(orders) {
+  const counts = Object.fromEntries(DISPOSITIONS.map(disposition => [disposition, 0]));
+  for (const order of orders) {
+    counts[order.disposition]++;
+  }
+  return counts;
+}
+
+/**
+ * Save the disposition report of a sync run for an account
+ * @param {string} accountId - Account identifier
+ * @param {string} jobRun - Identifier of the sync run
+ * @param {Object} report - Report with `fetched`, `rechecked` (orders kept from earlier runs and checked again),
+ *   per-order `orders` and, for runs that failed, the `error`
+ * @returns {Promise<Object>} The saved report, with counts
+ */
+export async function saveSyncReport(accountId, jobRun, report) {
+  try {
+    const saved = {
+      accountId,
+      jobRun,
+      createdAt: new Date().toISOString(),
+      fetched: report.fetched,
+      rechecked: report.rechecked || 0,
+      counts: countDispositions(report.orders),
+      error: report.error || null,
+      orders: report.orders
+    };
+
+    await writeJsonFile(join(REPORTS_PATH, accountId, `${jobRun}.json`), saved);
+    console.log(`Saved sync report ${jobRun} for account ${accountId} (${report.orders.length} orders)`);
+    return saved;
+  } catch (error) {
+    console.error(`Error saving sync report ${jobRun} for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Load the disposition report of a sync run
+ * @param {string} accountId - Account identifier
+ * @param {string} jobRun - Identifier of the sync run
+ * @returns {Promise<Object|null>} The report, or null if there is none
+ */
+export async function loadSyncReport(accountId, jobRun) {
+  try {
+    return await readJsonFile(join(REPORTS_PATH, accountId, `${jobRun}.json`), null);
+  } catch (error) {
+    console.error(`Error loading sync report ${jobRun} for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * List the sync reports saved for an account, newest first, without their orders
+ * @param {string} accountId - Account identifier
+ * @returns {Promise<Array<Object>>} Report summaries
+ */
+export async function listSyncReports(accountId) {
+  try {
+    let files;
+    try {
+      files = await readdir(join(REPORTS_PATH, accountId));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const summaries = [];
+    for (const file of files.filter(file => file.endsWith('.json')).sort().reverse()) {
+      const { orders, ...summary } = await readJsonFile(join(REPORTS_PATH, accountId, file));
+      summaries.push(summary);
+    }
+    return summaries;
+  } catch (error) {
+    console.error(`Error listing sync reports for account ${accountId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Convert a report's orders to CSV
+ * @param {Object} report - Report loaded with loadSyncReport
+ * @returns {string} CSV with a header row
+ */
+export function syncReportToCsv(report) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...report.orders.map(order => CSV_COLUMNS.map(column => escape(order[column])).join(','))
+  ].join('\n');
+}
@@ -0,0 +1,54 @@
+// Tokens each kind of template may use
+export const TEMPLATE_TOKENS = {
+  streamId: ['streamDate', 'streamHour', 'account'],
+  channelStreamId: ['channelCode', 'channel', 'streamDate', 'account'],
+  orderNumber: ['orderKey', 'streamId', 'streamDate', 'streamHour', 'username', 'account', 'seq', 'channel'],
+  customField: ['orderKey', 'streamId', 'streamDate', 'streamHour', 'username', 'account', 'seq', 'channel', 'shipping', 'currency']
+};
+
+const TOKEN_PATTERN = /\{([a-zA-Z]+)\}/g;
+
+/**
+ * Get the names of the tokens used in a template
+ * @param {string} template - Template such as "{streamDate}-{username}"
+ * @returns {Array<string>} Token names
+ */
+export function getTemplateTokens(template) {
+  return Array.from(template.matchAll(TOKEN_PATTERN), match => match[1]);
+}
+
+/**
+ * Check a template for unknown tokens and stray braces
+ * @param {string} template - Template to check
+ * @param {Array<string>} allowedTokens - Tokens the template may use
+ * @returns {Array<string>} Problems found, empty if the template is valid
+ */
+export function validateTemplate(template, allowedTokens) {
+  if (typeof template !== 'string') {
+    return ['must be a string'];
+  }
+
+  const errors = getTemplateTokens(template)
+    .filter(token => !allowedTokens.includes(token))
+    .map(token => `unknown token {${token}} (allowed: ${allowedTokens.map(t => `{${t}}`).join(', ')})`);
+
+  if (/[{}]/.test(template.replace(TOKEN_PATTERN, ''))) {
+    errors.push('has unmatched braces');
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in a template's tokens. Missing values render as empty strings and the
+ * result is trimmed with repeated spaces collapsed.
+ * @param {string} template - Template to render
+ * @param {Object} values - Token values by name
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, values) {
+  return template
+    .replace(TOKEN_PATTERN, (_, token) => values[token] ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,141 @@
+import { formatMoney } from './formatting.js';
+import { DEFAULT_CURRENCY, convertCents, getOrderCurrency } from './currency.js';
+
+// What happens to an order when a rule fires
+export const RULE_ACTIONS = ['reject', 'hold', 'tag'];
+
+const isStringList = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+const isCountryList = value => Array.isArray(value) && value.every(item => /^[A-Z]{2}$/.test(item));
+
+/**
+ * Rule types. `validate` checks a rule's options and returns problems; `check`
+ * returns why the rule fires for an order, or null if it does not. Amounts in
+ * rules are in the store currency.
+ */
+const RULE_TYPES = {
+  allowedStatuses: {
+    validate: rule => isStringList(rule.statuses) ? [] : ['needs a non-empty statuses list'],
+    check: (order, rule) => rule.statuses.includes(order.status)
+      ? null
+      : `Invalid order status: ${order.status || 'unknown'} (allowed: ${rule.statuses.join(', ')})`
+  },
+  noTracking: {
+    validate: () => [],
+    check: order => order.trackingInfo?.trackingCode ? 'Order already has tracking code' : null
+  },
+  maxOrderValue: {
+    validate: rule => typeof rule.amount === 'number' && rule.amount > 0 ? [] : ['needs an amount above 0, in the store currency'],
+    check: (order, rule, settings) => {
+      const currency = settings.currency || DEFAULT_CURRENCY;
+      const total = convertCents(order.total?.amount || 0, getOrderCurrency(order), settings);
+      const limit = Math.round(rule.amount * 100);
+      return total > limit ? `Order total ${formatMoney(total, currency)} is over ${formatMoney(limit, currency)}` : null;
+    }
+  },
+  blockedBuyers: {
+    validate: rule => isStringList(rule.usernames) ? [] : ['needs a non-empty usernames list'],
+    check: (order, rule) => {
+      const username = (order.customer?.username || '').toLowerCase();
+      return rule.usernames.some(blocked => blocked.toLowerCase() === username)
+        ? `Buyer ${order.customer.username} is blocked`
+        : null;
+    }
+  },
+  countries: {
+    validate: rule => {
+      if (rule.allow === undefined && rule.deny === undefined) {
+        return ['needs an allow or deny list of country codes'];
+      }
+      return [rule.allow, rule.deny]
+        .filter(list => list !== undefined && !isCountryList(list))
+        .map(() => 'country lists must hold two-letter codes such as US');
+    },
+    check: (order, rule) => {
+      const country = (order.shippingAddress?.countryCode || '').toUpperCase();
+      if (rule.deny?.includes(country)) {
+        return `Shipping to ${country} is not allowed`;
+      }
+      if (rule.allow && !rule.allow.includes(country)) {
+        return `Shipping to ${country || 'an unknown country'} is not allowed (allowed: ${rule.allow.join(', ')})`;
+      }
+      return null;
+    }
+  },
+  minItemCount: {
+    validate: rule => Number.isInteger(rule.count) && rule.count > 0 ? [] : ['needs a whole number count of 1 or more'],
+    check: (order, rule) => {
+      const count = (order.items?.edges || []).reduce((sum, edge) => sum + (edge.node.quantity || 0), 0);
+      return count < rule.count ? `Order has ${count} items (minimum ${rule.count})` : null;
+    }
+  }
+};
+
+export const RULE_TYPE_NAMES = Object.keys(RULE_TYPES);
+
+// The checks every account gets unless it overrides or disables them
+export const DEFAULT_VALIDATION_RULES = [
+  { type: 'allowedStatuses', statuses: ['PROCESSING'], action: 'reject' },
+  { type: 'noTracking', action: 'reject' }
+];
+
+/**
+ * Combine the default rules with an account's rules. An account rule without a
+ * name replaces the default rule of the same type; other rules are added.
+ * Rules with `enabled: false` are left out.
+ * @param {Array<Object>} [accountRules] - Rules from accounts.json
+ * @returns {Array<Object>} Rules to apply, each with a `name`
+ */
+export function resolveValidationRules(accountRules = []) {
+  const overridden = new Set(accountRules.filter(rule => !rule.name).map(rule => rule.type));
+  return [
+    ...DEFAULT_VALIDATION_RULES.filter(rule => !overridden.has(rule.type)),
+    ...accountRules
+  ]
+    .filter(rule => rule.enabled !== false)
+    .map(rule => ({ ...rule, name: rule.name || rule.type }));
+}
+
+/**
+ * Check an account's validation rules
+ * @param {Array<Object>} rules - Rules from resolveValidationRules
+ * @returns {Array<string>} Problems found, empty if every rule is valid
+ */
+export function validateValidationRules(rules) {
+  const errors = [];
+  for (const rule of rules) {
+    const ruleType = RULE_TYPES[rule.type];
+    if (!ruleType) {
+      errors.push(`rule "${rule.name}" has unknown type "${rule.type}" (use one of: ${RULE_TYPE_NAMES.join(', ')})`);
+      continue;
+    }
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      errors.push(`rule "${rule.name}" has invalid action "${rule.action}" (use one of: ${RULE_ACTIONS.join(', ')})`);
+    }
+    if (rule.action === 'tag' && rule.tag === undefined) {
+      errors.push(`rule "${rule.name}" needs a tag for the tag action`);
+    }
+    if (rule.tag !== undefined && (typeof rule.tag !== 'string' || !rule.tag.trim())) {
+      errors.push(`rule "${rule.name}" needs the name of a ShipStation tag as its tag`);
+    }
+    errors.push(...ruleType.validate(rule).map(error => `rule "${rule.name}" ${error}`));
+  }
+  return errors;
+}
+
+/**
+ * Run validation rules against an order
+ * @param {Object} order - Whatnot order
+ * @param {Array<Object>} rules - Rules from resolveValidationRules
+ * @param {Object} [settings] - Sync settings from getSyncSettings, for the store currency and rates
+ * @returns {Array<{rule: string, action: string, tag: string|null, message: string}>} Rules that fired
+ */
+export function evaluateRules(order, rules, settings = {}) {
+  const fired = [];
+  for (const rule of rules) {
+    const message = RULE_TYPES[rule.type].check(order, rule, settings);
+    if (message) {
+      fired.push({ rule: rule.name, action: rule.action, tag: rule.tag ?? null, message });
+    }
+  }
+  return fired;
+}
@@ -1,6 +1,15 @@
+import { DEFAULT_CUSTOMS, getItemsMissingCustoms, isInternationalOrder } from './customs.js';
+import { checkAddress } from './address.js';
+import { evaluateRules, resolveValidationRules } from './validation-rules.js';
+import { getExchangeRate, getOrderCurrency } from './currency.js';
+
 class OrderValidator {
-  constructor() {
-    // No need for REZ API client anymore
+  // settings: sync settings from getSyncSettings, for validation rules, the customs table and address hold flags
+  constructor(settings = {}) {
+    this.settings = settings;
+    this.rules = settings.validationRules || resolveValidationRules();
+    this.customs = settings.customs || DEFAULT_CUSTOMS;
+    this.addressHoldFlags = settings.addressHoldFlags || [];
   }
 
   async validateOrder(order) {
@@ -11,47 +20,107 @@ class OrderValidator {
       errors.push('Order is cancelled');
     }
 
-    // Check if order already has tracking
-    if (order.trackingInfo?.trackingCode) {
-      errors.push('Order already has tracking code');
-    }
-
-    // Check order status - we only want PROCESSING orders
-    if (order.status !== 'PROCESSING') {
-      errors.push(`Invalid order status: ${order.status || 'unknown'} (expected PROCESSING)`);
-    }
-
     // Check if order has items
     if (!order.items?.edges || order.items.edges.length === 0) {
       errors.push('Order has no items');
-      return errors; // No need to check further if there are no items
+      return errors;
     }
 
-    // Check pickup flag on all items
-    for (const edge of order.items.edges) {
-      // Skip validation for pickup items
-      if (edge.node.isPickup) {
-        errors.push('Order contains pickup items which should be fulfilled in person');
-        continue;
-      }
+    // Amounts are converted into the store currency, which needs a rate for the order's currency
+    const currency = getOrderCurrency(order);
+    if (getExchangeRate(currency, this.settings) === null) {
+      errors.push(`No exchange rate for ${currency} orders (add ${currency} to currencyRates)`);
+      return errors;
+    }
 
-  
+    // Account rules; held and tagged orders stay valid and are handled when created in ShipStation
+    const fired = evaluateRules(order, this.rules, this.settings);
+    if (fired.length > 0) {
+      order.firedRules = fired;
+    }
+    for (const { rule, message } of fired.filter(result => result.action === 'reject')) {
+      errors.push(`${message} (rule: ${rule})`);
     }
 
     return errors;
   }
 
+  // International orders cannot get a label without customs data for every item; such
+  // orders are still created, on hold, so the seller can fill in the customs table or
+  // the declaration in ShipStation. Sets order.customsHold to the reason, if any
+  reviewCustoms(order) {
+    if (!isInternationalOrder(order)) {
+      return [];
+    }
+    const missing = getItemsMissingCustoms(order, this.customs);
+    if (missing.length === 0) {
+      return [];
+    }
+
+    const titles = missing.map(item => item.product?.title || item.id);
+    order.customsHold = [`Missing customs data for international order to ${order.shippingAddress.countryCode}: ${titles.join(', ')}`];
+    return order.customsHold;
+  }
+
+  // Orders with pickup items are fulfilled in person, not shipped
+  isPickupOrder(order) {
+    return order.items?.edges?.some(edge => edge.node.isPickup) || false;
+  }
+
+  // Address pre-flight: replaces the shipping address with its normalized form and
+  // sets order.addressHold to the reasons the order must be created on hold, if any
+  reviewAddress(order) {
+    const { address, fixes, problems, flags } = checkAddress(order.shippingAddress || {});
+    order.shippingAddress = address;
+
+    const holdReasons = [
+      ...problems.map(problem => problem.message),
+      ...flags.filter(flag => this.addressHoldFlags.includes(flag.type)).map(flag => flag.message)
+    ];
+    if (holdReasons.length > 0) {
+      order.addressHold = holdReasons;
+    }
+
+    return { fixes, problems, flags, holdReasons };
+  }
+
   async validateOrders(orders) {
     const validationResults = {
       valid: [],
-      invalid: []
+      invalid: [],
+      pickups: [],
+      addressFixed: 0,
+      addressHolds: 0,
+      customsHolds: 0,
+      ruleHits: {}
     };
 
     // Validate each order individually
     for (const order of orders) {
       const errors = await this.validateOrder(order);
+      for (const { rule, action, message } of order.firedRules || []) {
+        validationResults.ruleHits[rule] = (validationResults.ruleHits[rule] || 0) + 1;
+        if (action !== 'reject') {
+          console.log(`Rule ${rule} (${action}) fired for order ${order.id}: ${message}`);
+        }
+      }
 
-      if (errors.length === 0) {
+      if (errors.length === 0 && this.isPickupOrder(order)) {
+        validationResults.pickups.push(order);
+      } else if (errors.length === 0) {
+        const review = this.reviewAddress(order);
+        if (review.fixes.length > 0) {
+          validationResults.addressFixed++;
+        }
+        if (review.holdReasons.length > 0) {
+          validationResults.addressHolds++;
+          console.log(`Order ${order.id} will be created on hold: ${review.holdReasons.join('; ')}`);
+        }
+        const customsHold = this.reviewCustoms(order);
+        if (customsHold.length > 0) {
+          validationResults.customsHolds++;
+          console.log(`Order ${order.id} will be created on hold: ${customsHold.join('; ')}`);
+        }
         validationResults.valid.push(order);
       } else {
         validationResults.invalid.push({
@@ -61,7 +130,7 @@ class OrderValidator {
       }
     }
 
-    console.log(`Validation complete: ${validationResults.valid.length} valid orders, ${validationResults.invalid.length} invalid orders`);
+    console.log(`Validation complete: ${validationResults.valid.length} valid orders (${validationResults.addressFixed} addresses normalized, ${validationResults.addressHolds} held for address review, ${validationResults.customsHolds} for customs data), ${validationResults.pickups.length} pickup orders, ${validationResults.invalid.length} invalid orders`);
     return validationResults;
   }
 }